@@ -36,14 +36,59 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
             ]
         };
         
+        // Registered zone definitions, keyed by zone name
+        this.zoneDefinitions = new Map();
+        this.fieldTypes = ['string', 'number', 'boolean', 'object', 'array', 'marks', 'plugin'];
+        
+        // What repairBodyMap may fix on its own
+        this.repairRules = {
+            // Legacy names with exactly one current zone
+            zoneRenames: {
+                hips: 'butt'
+            },
+            markTypeAliases: {
+                tattoos: 'tattoo',
+                scars: 'scar',
+                freckle: 'freckles',
+                moles: 'mole',
+                birthmarks: 'birthmark',
+                'birth mark': 'birthmark'
+            },
+            visibilityAliases: {
+                med: 'medium',
+                mid: 'medium'
+            },
+            templates: {
+                _default: {
+                    descriptor: 'plain and unremarkable',
+                    care: 'none',
+                    marks: [],
+                    _plugin: {}
+                }
+            }
+        };
+        
         // Schema version for validation
         this.schemaVersion = '1.0.0';
         
+        // Older schema versions, described by how their zones differ from the current rules
+        this.schemaHistory = {
+            '0.9.0': {
+                zoneNames: { butt: 'hips' }
+            }
+        };
+        
+        // Steps between adjacent schema versions, oldest first
+        this.schemaMigrations = [
+            { from: '0.9.0', to: '1.0.0', zoneRenames: { hips: 'butt' } }
+        ];
+        
         // Statistics
         this.validationStats = {
             totalValidations: 0,
             successfulValidations: 0,
             failedValidations: 0,
+            swapValidations: 0,
             errorsByType: {}
         };
     }
@@ -56,6 +101,9 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         if (!success) return false;
         
         try {
+            // Zone names and aliases come from the config zone registry
+            this.loadZoneVocabulary();
+            
             // Load any custom validation rules from config
             this.loadCustomValidationRules();
             
@@ -73,6 +121,22 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         }
     }
     
+    /**
+     * Load the canonical zone names and their aliases from configuration
+     */
+    loadZoneVocabulary() {
+        const canonical = this.getConfig('zones.canonical');
+        if (Array.isArray(canonical) && canonical.length > 0) {
+            this.validationRules.requiredZones = [...canonical];
+        }
+        
+        // Aliases are what repairBodyMap renames to the canonical name
+        const aliases = this.getConfig('zones.aliases');
+        if (aliases) {
+            this.repairRules.zoneRenames = { ...aliases };
+        }
+    }
+    
     /**
      * Load custom validation rules from configuration
      */
@@ -83,6 +147,17 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
             Object.assign(this.validationRules, customRules);
             this.logInfo('Custom validation rules loaded');
         }
+        
+        const zoneDefinitions = this.getConfig('validation.zoneDefinitions');
+        if (zoneDefinitions) {
+            for (const [zoneName, definition] of Object.entries(zoneDefinitions)) {
+                try {
+                    this.registerZoneDefinition(zoneName, definition);
+                } catch (error) {
+                    this.logWarning(`Skipped zone definition ${zoneName}: ${error.message}`);
+                }
+            }
+        }
     }
     
     /**
@@ -98,11 +173,171 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         });
     }
     
+    /**
+     * Registers a zone definition. A new zone name (tail, wings, ears...)
+     * becomes a valid zone; a built-in zone keeps its standard fields and
+     * gets the definition's fields and constraints layered over them.
+     * Replaces any earlier definition for the zone.
+     * @param {string} zoneName - Zone name
+     * @param {Object} definition - Zone definition
+     * @param {boolean} [definition.required=false] - Whether every body map must have the zone
+     * @param {Object} [definition.fields] - Field specs keyed by field name, or just a type name:
+     *   { type, required, enum, min, max, minLength }
+     * @param {Array} [definition.constraints] - Cross-field rules, each with a message and either
+     *   check(zoneData) returning true when satisfied, or { when: { field, equals }, require: [fields] }
+     * @param {Object} [definition.template] - Zone data repairBodyMap adds when the zone is missing
+     */
+    registerZoneDefinition(zoneName, definition) {
+        if (!zoneName || typeof zoneName !== 'string' || zoneName.startsWith('_')) {
+            throw new Error('Zone name must be a non-empty string not starting with _');
+        }
+        
+        if (this.isInvalidZone(zoneName)) {
+            throw new Error(`Zone ${zoneName} is forbidden and can't be defined`);
+        }
+        
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`Zone definition for ${zoneName} must be an object`);
+        }
+        
+        const standardFields = this.getStandardZoneFields(zoneName);
+        const fields = {};
+        for (const [field, spec] of Object.entries(definition.fields || {})) {
+            fields[field] = this.normalizeFieldSpec(zoneName, field, spec, standardFields[field]);
+        }
+        
+        if (definition.constraints !== undefined && !Array.isArray(definition.constraints)) {
+            throw new Error(`Constraints for zone ${zoneName} must be an array`);
+        }
+        
+        const constraints = (definition.constraints || []).map(constraint => {
+            if (!constraint || typeof constraint.message !== 'string') {
+                throw new Error(`Constraint on zone ${zoneName} needs a message`);
+            }
+            
+            const declarative = constraint.when && typeof constraint.when.field === 'string' && Array.isArray(constraint.require);
+            if (typeof constraint.check !== 'function' && !declarative) {
+                throw new Error(`Constraint on zone ${zoneName} needs a check function or when/require`);
+            }
+            
+            return { ...constraint };
+        });
+        
+        this.zoneDefinitions.set(zoneName, {
+            name: zoneName,
+            description: definition.description || '',
+            required: definition.required === true,
+            fields,
+            constraints,
+            template: definition.template || null
+        });
+        
+        // Cached results were computed without this definition
+        this.clearValidationCache();
+        
+        this.fireEvent('zone-definition-registered', { zone: zoneName });
+    }
+    
+    /**
+     * Removes a registered zone definition
+     * @param {string} zoneName - Zone name
+     * @returns {boolean} True if the definition existed
+     */
+    unregisterZoneDefinition(zoneName) {
+        const removed = this.zoneDefinitions.delete(zoneName);
+        if (removed) {
+            this.clearValidationCache();
+            this.fireEvent('zone-definition-unregistered', { zone: zoneName });
+        }
+        return removed;
+    }
+    
+    getRegisteredZones() {
+        return Array.from(this.zoneDefinitions.keys());
+    }
+    
+    /**
+     * Checks and fills in one field spec of a zone definition.
+     * Specs for standard fields start from the standard spec.
+     */
+    normalizeFieldSpec(zoneName, field, spec, standard = {}) {
+        const normalized = { ...standard, ...(typeof spec === 'string' ? { type: spec } : spec) };
+        const label = `${zoneName}.${field}`;
+        
+        if (!this.fieldTypes.includes(normalized.type)) {
+            throw new Error(`Field ${label} has unknown type: ${normalized.type} (expected ${this.fieldTypes.join(', ')})`);
+        }
+        
+        if (normalized.enum !== undefined && (!Array.isArray(normalized.enum) || normalized.enum.length === 0)) {
+            throw new Error(`Field ${label} enum must be a non-empty array`);
+        }
+        
+        for (const bound of ['min', 'max', 'minLength']) {
+            if (normalized[bound] !== undefined && typeof normalized[bound] !== 'number') {
+                throw new Error(`Field ${label} ${bound} must be a number`);
+            }
+        }
+        
+        if (normalized.min !== undefined && normalized.max !== undefined && normalized.min > normalized.max) {
+            throw new Error(`Field ${label} min is greater than max`);
+        }
+        
+        normalized.required = normalized.required === true;
+        return normalized;
+    }
+    
+    /**
+     * Gets the fields every zone has, plus tone for muscle zones
+     */
+    getStandardZoneFields(zoneName, rules = this.validationRules) {
+        const fields = {
+            descriptor: { type: 'string', required: true },
+            care: { type: 'string', required: true },
+            marks: { type: 'marks', required: true },
+            _plugin: { type: 'plugin', required: true }
+        };
+        
+        if (rules.muscleZones.includes(zoneName)) {
+            fields.tone = { type: 'string', required: true, minLength: 1 };
+        }
+        
+        return fields;
+    }
+    
+    /**
+     * Gets the effective definition of a zone: the standard fields for the
+     * schema version's rules with any registered definition layered on top
+     * @param {string} zoneName - Zone name
+     * @param {Object} rules - Validation rules of the schema version
+     * @returns {Object|null} Definition, or null if the zone isn't known
+     */
+    getZoneDefinition(zoneName, rules = this.validationRules) {
+        const registered = this.zoneDefinitions.get(zoneName);
+        if (!registered && !this.isValidZone(zoneName, rules)) {
+            return null;
+        }
+        
+        const fields = {
+            ...this.getStandardZoneFields(zoneName, rules),
+            ...(registered ? registered.fields : {})
+        };
+        
+        return {
+            name: zoneName,
+            description: registered ? registered.description : '',
+            required: rules.requiredZones.includes(zoneName) || Boolean(registered && registered.required),
+            builtIn: rules.requiredZones.includes(zoneName) || rules.validGenitalTypes.includes(zoneName),
+            fields,
+            constraints: registered ? registered.constraints : [],
+            template: registered ? registered.template : null
+        };
+    }
+    
     /**
      * Main validation method - validates a complete body map
      * @param {Object} bodyMap - The body map to validate
      * @param {Object} options - Validation options
-     * @returns {Object} Validation result with success flag and errors
+     * @returns {Object} Validation result with success flag, findings and the errors as messages
      */
     validateBodyMap(bodyMap, options = {}) {
         const startTime = performance.now();
@@ -110,7 +345,10 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         try {
             // Input validation
             if (!bodyMap || typeof bodyMap !== 'object') {
-                return this.createValidationResult(false, ['Body map must be a valid object']);
+                return this.createValidationResult(false, [this.createFinding({
+                    path: '', code: 'type_mismatch', expected: 'object', actual: this.describeType(bodyMap),
+                    message: 'Body map must be a valid object'
+                })]);
             }
             
             // Check cache if enabled
@@ -123,27 +361,39 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
                 }
             }
             
-            const errors = [];
+            const findings = [];
             
             // Validate basic structure
-            this.validateBasicStructure(bodyMap, errors);
+            this.validateBasicStructure(bodyMap, findings);
+            
+            // Maps are checked against the schema version they declare
+            const version = typeof bodyMap._version === 'string' ? bodyMap._version : this.schemaVersion;
+            const rules = this.getRulesForVersion(version);
+            if (!rules) {
+                findings.push(this.createFinding({
+                    path: '/_version', code: 'unsupported_version', expected: this.getSchemaVersions(), actual: version,
+                    message: `Unsupported body map version: ${version} (known: ${this.getSchemaVersions().join(', ')})`
+                }));
+                return this.createValidationResult(false, findings, version);
+            }
             
             // Validate required zones
-            this.validateRequiredZones(bodyMap, errors);
+            this.validateRequiredZones(bodyMap, findings, rules);
             
             // Validate invalid zones (should not be present)
-            this.validateInvalidZones(bodyMap, errors);
+            this.validateInvalidZones(bodyMap, findings, rules);
             
             // Validate each zone
-            this.validateZones(bodyMap, errors);
+            this.validateZones(bodyMap, findings, rules);
             
             // Validate genital zone specifically
             if (bodyMap.genitals) {
-                this.validateGenitalZone(bodyMap.genitals, errors);
+                this.validateGenitalZone(bodyMap.genitals, findings, rules);
             }
             
             // Create result
-            const result = this.createValidationResult(errors.length === 0, errors);
+            const valid = !findings.some(finding => finding.severity === 'error');
+            const result = this.createValidationResult(valid, findings, version);
             
             // Cache result if enabled
             if (this.validationCache && !options.skipCache) {
@@ -157,39 +407,924 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
             
         } catch (error) {
             this.handleError('validateBodyMap', error);
-            return this.createValidationResult(false, [`Validation failed: ${error.message}`]);
+            return this.createValidationResult(false, [this.createFinding({
+                path: '', code: 'validation_failed', message: `Validation failed: ${error.message}`
+            })]);
+        }
+    }
+    
+    /**
+     * Validates a zone swap between two body maps.
+     * Checks both maps as they are, that every requested zone exists on the
+     * sides the mode reads from, and that both maps would still be valid after the swap
+     * (including muscle-zone tone and genital sub-structure rules).
+     * Problems a map already had before the swap are reported on the map,
+     * not repeated for the zones.
+     * @param {Object} sourceMap - Source character's body map
+     * @param {Object} targetMap - Target character's body map
+     * @param {Array} zones - Zones being swapped
+     * @param {Object} options - Validation options
+     * @param {string} [options.mode='exchange'] - Swap mode; 'exchange' and 'copy' are simulated, 'drain' only for the target
+     * @param {Object} [options.scope] - Field scope of the swap, zone -> { fields, markTypes }
+     * @param {Function} [options.resolveZone] - (zone, sourceZone, targetZone) => { source, target }; simulates any mode
+     *   and scope the way the swap engine applies them
+     * @param {Array} [options.readSides] - Sides whose zone the mode reads; defaults to what the mode is known to read
+     * @returns {Object} Result with valid flag, flat errors/warnings, findings tagged with side and zone, and per-zone details
+     */
+    validateSwap(sourceMap, targetMap, zones, options = {}) {
+        const startTime = performance.now();
+        const mode = options.mode || 'exchange';
+        const readSides = this.getSwapReadSides(mode, options);
+        const zoneResults = {};
+        const errors = [];
+        const warnings = [];
+        const findings = [];
+        
+        const addFinding = (finding, side = null, zone = null) => {
+            const list = finding.severity === 'warning' ? 'warnings' : 'errors';
+            findings.push({ ...finding, side, zone });
+            if (zone && zoneResults[zone]) {
+                zoneResults[zone][list].push({ side, message: finding.message, code: finding.code, path: finding.path });
+            }
+            const label = [side, zone].filter(Boolean).join(' ');
+            (list === 'errors' ? errors : warnings).push(label ? `${label}: ${finding.message}` : finding.message);
+        };
+        const isError = finding => finding.severity === 'error';
+        
+        try {
+            if (!Array.isArray(zones) || zones.length === 0) {
+                addFinding(this.createFinding({ path: '', code: 'no_zones', message: 'Swap must name at least one zone' }));
+                return this.createSwapValidationResult(errors, warnings, {}, null, null, findings);
+            }
+            
+            for (const zone of zones) {
+                zoneResults[zone] = { errors: [], warnings: [] };
+            }
+            
+            // Both maps as they are now
+            const sourceResult = this.validateBodyMap(sourceMap);
+            const targetResult = this.validateBodyMap(targetMap);
+            sourceResult.findings.filter(isError).forEach(finding => addFinding(finding, 'source'));
+            targetResult.findings.filter(isError).forEach(finding => addFinding(finding, 'target'));
+            
+            if (!sourceMap || typeof sourceMap !== 'object' || !targetMap || typeof targetMap !== 'object') {
+                return this.createSwapValidationResult(errors, warnings, zoneResults, sourceResult, targetResult, findings);
+            }
+            
+            // Requested zones
+            for (const zone of zones) {
+                const path = this.toPointer(zone);
+                if (!this.isValidZone(zone)) {
+                    addFinding(this.createFinding({
+                        path, code: 'unknown_zone', actual: zone, message: `'${zone}' is not a valid zone`
+                    }), 'both', zone);
+                    continue;
+                }
+                for (const [side, map] of [['source', sourceMap], ['target', targetMap]]) {
+                    if (!map[zone] && readSides.includes(side)) {
+                        addFinding(this.createFinding({
+                            path, code: 'missing_zone', expected: 'object', actual: this.describeType(map[zone]),
+                            message: 'zone does not exist'
+                        }), side, zone);
+                    }
+                }
+            }
+            
+            // Simulate the swap and report only what it breaks
+            const postSwap = this.simulateSwap(sourceMap, targetMap, zones, mode, options);
+            if (!postSwap) {
+                addFinding(this.createFinding({
+                    path: '', code: 'mode_not_simulated', severity: 'warning', expected: ['exchange', 'copy', 'drain'], actual: mode,
+                    message: options.scope
+                        ? `Post-swap state not simulated for a field-scoped ${mode} swap without a zone resolver`
+                        : `Post-swap state not simulated for mode: ${mode}`
+                }));
+            } else {
+                for (const side of ['source', 'target']) {
+                    if (!postSwap[side]) continue;
+                    
+                    const before = new Set((side === 'source' ? sourceResult : targetResult).errors);
+                    const after = this.validateBodyMap(postSwap[side], { skipCache: true });
+                    
+                    for (const finding of after.findings.filter(isError)) {
+                        if (before.has(finding.message)) continue;
+                        const zone = this.getErrorZone(finding);
+                        addFinding(finding, side, zones.includes(zone) ? zone : null);
+                    }
+                    
+                    const original = side === 'source' ? sourceMap : targetMap;
+                    for (const zone of zones) {
+                        this.compareSwappedZone(zone, original[zone], postSwap[side][zone])
+                            .forEach(warning => addFinding(warning, side, zone));
+                    }
+                }
+            }
+            
+            this.validationStats.swapValidations++;
+            this.recordPerformance('validateSwap', performance.now() - startTime);
+            
+            return this.createSwapValidationResult(errors, warnings, zoneResults, sourceResult, targetResult, findings);
+            
+        } catch (error) {
+            this.handleError('validateSwap', error);
+            addFinding(this.createFinding({ path: '', code: 'validation_failed', message: `Swap validation failed: ${error.message}` }));
+            return this.createSwapValidationResult(errors, warnings, zoneResults, null, null, findings);
         }
     }
     
+    /**
+     * Sides a swap needs the zone on: the ones its mode reads from.
+     * Field-level swaps merge into existing zones, so they always need both.
+     * @param {string} mode - Swap mode
+     * @param {Object} options - { scope, readSides } as for validateSwap
+     * @returns {Array} 'source' and/or 'target'
+     */
+    getSwapReadSides(mode, options = {}) {
+        if (options.scope) {
+            return ['source', 'target'];
+        }
+        if (Array.isArray(options.readSides)) {
+            return options.readSides;
+        }
+        return mode === 'copy' || mode === 'drain' ? ['source'] : ['source', 'target'];
+    }
+    
+    /**
+     * Build both body maps as they would be after a swap
+     * @param {Object} options - { scope, resolveZone } as for validateSwap
+     * @returns {Object|null} { source, target } or null if the mode can't be simulated
+     */
+    simulateSwap(sourceMap, targetMap, zones, mode, options = {}) {
+        const source = { ...sourceMap };
+        const target = { ...targetMap };
+        
+        // The engine's resolver knows every mode and merges scoped fields back into the zone
+        if (typeof options.resolveZone === 'function') {
+            for (const zone of zones) {
+                const outcome = options.resolveZone(zone, sourceMap[zone], targetMap[zone]);
+                source[zone] = outcome.source;
+                target[zone] = outcome.target;
+            }
+            return { source, target };
+        }
+        
+        // Without it only whole-zone moves can be simulated
+        if (options.scope) {
+            return null;
+        }
+        
+        for (const zone of zones) {
+            switch (mode) {
+                case 'exchange':
+                    source[zone] = targetMap[zone];
+                    target[zone] = sourceMap[zone];
+                    break;
+                case 'copy':
+                    target[zone] = sourceMap[zone];
+                    break;
+                case 'drain':
+                    // The source reverts to a template the validator doesn't know
+                    target[zone] = sourceMap[zone];
+                    break;
+                default:
+                    return null;
+            }
+        }
+        
+        return { source: mode === 'drain' ? null : source, target };
+    }
+    
+    /**
+     * Notable but valid changes to one swapped zone
+     */
+    compareSwappedZone(zone, before, after) {
+        const warnings = [];
+        if (!before || !after || before === after) return warnings;
+        
+        if (this.isMuscleZone(zone) && before.tone && after.tone && before.tone !== after.tone) {
+            warnings.push(this.createFinding({
+                path: this.toPointer(zone, 'tone'), code: 'tone_change', severity: 'warning',
+                expected: before.tone, actual: after.tone,
+                message: `tone changes from '${before.tone}' to '${after.tone}'`
+            }));
+        }
+        
+        if (zone === 'genitals') {
+            const typesBefore = this.validationRules.validGenitalTypes.filter(type => before[type]);
+            const typesAfter = this.validationRules.validGenitalTypes.filter(type => after[type]);
+            const gained = typesAfter.filter(type => !typesBefore.includes(type));
+            const lost = typesBefore.filter(type => !typesAfter.includes(type));
+            
+            if (gained.length > 0 || lost.length > 0) {
+                warnings.push(this.createFinding({
+                    path: '/genitals', code: 'genital_structure_change', severity: 'warning',
+                    expected: typesBefore, actual: typesAfter,
+                    message: `genital structure changes (gains: ${gained.join(', ') || 'none'}; loses: ${lost.join(', ') || 'none'})`
+                }));
+            }
+        }
+        
+        return warnings;
+    }
+    
+    /**
+     * Work out which top-level zone a finding is about
+     */
+    getErrorZone(finding) {
+        const [, zone] = finding.path.split('/');
+        return zone ? zone.replace(/~1/g, '/').replace(/~0/g, '~') : null;
+    }
+    
+    /**
+     * Create swap validation result object
+     */
+    createSwapValidationResult(errors, warnings, zones, sourceResult, targetResult, findings = []) {
+        return {
+            valid: errors.length === 0,
+            success: errors.length === 0,
+            errors,
+            warnings,
+            findings,
+            zones,
+            source: sourceResult ? { valid: sourceResult.success, errors: sourceResult.errors } : null,
+            target: targetResult ? { valid: targetResult.success, errors: targetResult.errors } : null,
+            timestamp: new Date().toISOString(),
+            schemaVersion: this.schemaVersion
+        };
+    }
+    
+    /**
+     * Repairs what it safely can in a body map and reports every fix.
+     * Missing zones and fields come from the repair template, wrong types are
+     * coerced, legacy zone names are renamed and mark enums are normalized.
+     * Nothing is guessed: if a fix would be ambiguous (which genital type to
+     * add, what visibility a mark has, which of two colliding zones to keep)
+     * the repair is refused and the input is left untouched.
+     * @param {Object} bodyMap - Body map to repair; not modified
+     * @param {Object} options - Repair options
+     * @param {string} [options.strategy='conservative'] - 'conservative' never drops data and refuses on
+     *   forbidden or unknown zones it can't rename; 'aggressive' drops them (their data stays in the changelog)
+     * @param {Object} [options.template] - Zone templates keyed by zone, layered over the defaults
+     * @returns {Object} { success, map, changes, ambiguities, valid, errors }
+     */
+    repairBodyMap(bodyMap, options = {}) {
+        const strategy = options.strategy || 'conservative';
+        const changes = [];
+        const ambiguities = [];
+        
+        const refuse = (error) => ({
+            success: false,
+            map: null,
+            strategy,
+            changes,
+            ambiguities,
+            error: error || `Repair refused: ${ambiguities.map(item => `${item.path}: ${item.message}`).join('; ')}`
+        });
+        
+        if (!['conservative', 'aggressive'].includes(strategy)) {
+            return refuse(`Unknown repair strategy: ${strategy}`);
+        }
+        
+        if (!bodyMap || typeof bodyMap !== 'object' || Array.isArray(bodyMap)) {
+            return refuse('Body map must be a plain object');
+        }
+        
+        let repaired = JSON.parse(JSON.stringify(bodyMap));
+        const change = (path, action, before, after, message) => {
+            changes.push({ path, action, before, after, message });
+        };
+        const ambiguous = (path, message) => {
+            ambiguities.push({ path, message });
+        };
+        
+        // Older maps are brought up to the current schema before anything else
+        if (typeof repaired._version === 'string' && repaired._version !== this.schemaVersion) {
+            const migration = this.migrateBodyMap(repaired);
+            if (!migration.success) {
+                ambiguous('_version', migration.error);
+                return refuse();
+            }
+            repaired = migration.map;
+            change('_version', 'migrate', migration.from, migration.to, `Migrated from schema ${migration.from} to ${migration.to}`);
+        }
+        
+        // Legacy, forbidden and unknown zones
+        for (const zoneName of Object.keys(repaired)) {
+            if (zoneName.startsWith('_') || this.isValidZone(zoneName)) continue;
+            
+            const renameTo = this.repairRules.zoneRenames[zoneName];
+            if (renameTo) {
+                if (repaired[renameTo] !== undefined && JSON.stringify(repaired[renameTo]) !== JSON.stringify(repaired[zoneName])) {
+                    ambiguous(zoneName, `both '${zoneName}' and '${renameTo}' are present with different data`);
+                    continue;
+                }
+                repaired[renameTo] = repaired[zoneName];
+                delete repaired[zoneName];
+                change(zoneName, 'rename-zone', zoneName, renameTo, `Renamed legacy zone '${zoneName}' to '${renameTo}'`);
+                continue;
+            }
+            
+            if (strategy === 'aggressive') {
+                change(zoneName, 'drop-zone', repaired[zoneName], undefined, `Dropped ${this.isInvalidZone(zoneName) ? 'forbidden' : 'unknown'} zone '${zoneName}'`);
+                delete repaired[zoneName];
+            } else {
+                ambiguous(zoneName, `${this.isInvalidZone(zoneName) ? 'forbidden' : 'unknown'} zone can't be mapped to a body zone; use the 'aggressive' strategy to drop it`);
+            }
+        }
+        
+        // Required zones and their fields
+        for (const zoneName of this.getRequiredZones()) {
+            if (repaired[zoneName] === undefined || repaired[zoneName] === null) {
+                const template = this.getRepairTemplate(zoneName, options.template);
+                if (!template) {
+                    ambiguous(zoneName, 'missing zone has no template to fill it from');
+                    continue;
+                }
+                repaired[zoneName] = template;
+                change(zoneName, 'add-zone', undefined, template, `Added missing zone '${zoneName}' from template`);
+                continue;
+            }
+            
+            repaired[zoneName] = this.repairZone(zoneName, zoneName, repaired[zoneName], options.template, change, ambiguous);
+        }
+        
+        if (repaired.genitals && typeof repaired.genitals === 'object') {
+            this.repairGenitals(repaired.genitals, options.template, change, ambiguous);
+        }
+        
+        if (ambiguities.length > 0) {
+            return refuse();
+        }
+        
+        const validation = this.validateBodyMap(repaired, { skipCache: true });
+        
+        this.fireEvent('body-map-repaired', { strategy, changes: changes.length, valid: validation.success });
+        
+        return {
+            success: true,
+            map: repaired,
+            strategy,
+            changes,
+            ambiguities,
+            valid: validation.success,
+            errors: validation.errors,
+            findings: validation.findings
+        };
+    }
+    
+    /**
+     * Repairs one zone object; returns the repaired zone
+     */
+    repairZone(path, zoneName, zoneData, templates, change, ambiguous) {
+        const template = this.getRepairTemplate(zoneName, templates) || this.getRepairTemplate('_default', templates);
+        
+        // A bare string is a descriptor
+        if (typeof zoneData === 'string') {
+            const zone = { ...template, descriptor: zoneData };
+            change(path, 'coerce', zoneData, zone, `Turned string zone '${path}' into a zone object`);
+            return zone;
+        }
+        
+        if (typeof zoneData !== 'object' || Array.isArray(zoneData)) {
+            ambiguous(path, `zone must be an object, got ${Array.isArray(zoneData) ? 'array' : typeof zoneData}`);
+            return zoneData;
+        }
+        
+        const textFields = this.isMuscleZone(zoneName) ? ['descriptor', 'care', 'tone'] : ['descriptor', 'care'];
+        for (const field of textFields) {
+            const value = zoneData[field];
+            if (value === undefined || value === null || value === '') {
+                zoneData[field] = template[field];
+                change(`${path}.${field}`, 'add-field', value, template[field], `Filled missing '${field}' from template`);
+            } else if (typeof value === 'number' || typeof value === 'boolean') {
+                zoneData[field] = String(value);
+                change(`${path}.${field}`, 'coerce', value, zoneData[field], `Converted '${field}' to a string`);
+            } else if (typeof value !== 'string') {
+                ambiguous(`${path}.${field}`, `can't turn ${typeof value} into text`);
+            }
+        }
+        
+        if (zoneData.marks === undefined || zoneData.marks === null) {
+            zoneData.marks = [];
+            change(`${path}.marks`, 'add-field', zoneData.marks === null ? null : undefined, [], "Added empty 'marks'");
+        } else if (!Array.isArray(zoneData.marks)) {
+            if (typeof zoneData.marks === 'object') {
+                const before = zoneData.marks;
+                zoneData.marks = [before];
+                change(`${path}.marks`, 'coerce', before, zoneData.marks, "Wrapped single mark in a 'marks' array");
+            } else {
+                ambiguous(`${path}.marks`, `can't turn ${typeof zoneData.marks} into marks`);
+            }
+        }
+        
+        if (Array.isArray(zoneData.marks)) {
+            zoneData.marks.forEach((mark, index) => this.repairMark(`${path}.marks[${index}]`, mark, change, ambiguous));
+        }
+        
+        if (zoneData._plugin === undefined || zoneData._plugin === null) {
+            zoneData._plugin = {};
+            change(`${path}._plugin`, 'add-field', undefined, {}, "Added empty '_plugin'");
+        } else if (typeof zoneData._plugin !== 'object' || Array.isArray(zoneData._plugin)) {
+            ambiguous(`${path}._plugin`, 'plugin data must be an object');
+        } else {
+            for (const [key, value] of Object.entries(zoneData._plugin)) {
+                if (value !== null && typeof value === 'object') {
+                    zoneData._plugin[key] = JSON.stringify(value);
+                    change(`${path}._plugin.${key}`, 'coerce', value, zoneData._plugin[key], 'Serialized nested plugin value to a string');
+                } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                    ambiguous(`${path}._plugin.${key}`, `plugin value can't be ${value === null ? 'null' : typeof value}`);
+                }
+            }
+        }
+        
+        return zoneData;
+    }
+    
+    /**
+     * Normalizes a mark's type and visibility in place
+     */
+    repairMark(path, mark, change, ambiguous) {
+        if (!mark || typeof mark !== 'object') {
+            ambiguous(path, 'mark must be an object');
+            return;
+        }
+        
+        const enums = [
+            ['type', this.validationRules.validMarkTypes, this.repairRules.markTypeAliases],
+            ['visibility', this.validationRules.validVisibilityLevels, this.repairRules.visibilityAliases]
+        ];
+        
+        for (const [field, valid, aliases] of enums) {
+            const value = mark[field];
+            if (valid.includes(value)) continue;
+            
+            if (typeof value !== 'string' || !value.trim()) {
+                ambiguous(`${path}.${field}`, `missing ${field} can't be guessed`);
+                continue;
+            }
+            
+            const key = value.trim().toLowerCase();
+            const normalized = valid.includes(key) ? key : aliases[key];
+            if (!normalized) {
+                ambiguous(`${path}.${field}`, `'${value}' doesn't match any of: ${valid.join(', ')}`);
+                continue;
+            }
+            
+            mark[field] = normalized;
+            change(`${path}.${field}`, 'normalize', value, normalized, `Normalized mark ${field}`);
+        }
+        
+        if (!mark.description || typeof mark.description !== 'string') {
+            ambiguous(`${path}.description`, 'mark needs a description');
+        }
+        
+        if (!mark.location_detail || typeof mark.location_detail !== 'string') {
+            mark.location_detail = 'unspecified';
+            change(`${path}.location_detail`, 'add-field', undefined, mark.location_detail, "Filled missing 'location_detail'");
+        }
+    }
+    
+    /**
+     * Repairs genital sub-structures in place
+     */
+    repairGenitals(genitals, templates, change, ambiguous) {
+        const types = this.validationRules.validGenitalTypes.filter(type => genitals[type] !== undefined);
+        if (types.length === 0) {
+            ambiguous('genitals', `no genital type present and none can be assumed (${this.validationRules.validGenitalTypes.join(', ')})`);
+            return;
+        }
+        
+        for (const type of types) {
+            const path = `genitals.${type}`;
+            genitals[type] = this.repairZone(path, type, genitals[type], templates, change, ambiguous);
+            const data = genitals[type];
+            if (!data || typeof data !== 'object') continue;
+            
+            if (type === 'vagina' && (!data.tightness_level || typeof data.tightness_level !== 'string')) {
+                ambiguous(`${path}.tightness_level`, 'tightness_level is required and can\'t be guessed');
+            }
+            
+            const booleans = { vagina: ['ridge_presence', 'hymen_intact'], penis: ['circumcised'], anal: [] }[type];
+            for (const field of booleans) {
+                if (data[field] === 'true' || data[field] === 'false') {
+                    const before = data[field];
+                    data[field] = before === 'true';
+                    change(`${path}.${field}`, 'coerce', before, data[field], `Converted '${field}' to a boolean`);
+                }
+            }
+            
+            const numbers = type === 'penis'
+                ? ['size.length_erect_inches', 'size.length_flaccid_inches', 'size.girth_inches']
+                : ['internal.depth_inches'];
+            for (const fieldPath of numbers) {
+                const [group, field] = fieldPath.split('.');
+                const value = data[group] && data[group][field];
+                if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                    data[group][field] = Number(value);
+                    change(`${path}.${fieldPath}`, 'coerce', value, data[group][field], `Converted '${field}' to a number`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Gets a fresh template for a zone
+     * @param {string} zoneName - Zone name
+     * @param {Object} overrides - Caller templates keyed by zone
+     * @returns {Object|null} Zone template, or null if the zone can't be templated
+     */
+    getRepairTemplate(zoneName, overrides = {}) {
+        const definition = this.zoneDefinitions.get(zoneName);
+        const template = (overrides && overrides[zoneName]) || this.repairRules.templates[zoneName] || (definition && definition.template);
+        if (template) {
+            return JSON.parse(JSON.stringify(template));
+        }
+        
+        // Genitals need a type, which can't be assumed
+        if (zoneName === 'genitals') {
+            return null;
+        }
+        
+        return JSON.parse(JSON.stringify({
+            ...this.repairRules.templates._default,
+            ...(this.isMuscleZone(zoneName) ? { tone: 'average' } : {})
+        }));
+    }
+    
+    /**
+     * Gets every known schema version, oldest first
+     * @returns {Array<string>} Schema versions
+     */
+    getSchemaVersions() {
+        return [...Object.keys(this.schemaHistory), this.schemaVersion]
+            .sort((a, b) => this.compareSchemaVersions(a, b));
+    }
+    
+    /**
+     * Compares two dotted version strings numerically
+     */
+    compareSchemaVersions(a, b) {
+        const left = a.split('.').map(Number);
+        const right = b.split('.').map(Number);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+    
+    /**
+     * Gets the validation rules of a schema version
+     * @param {string} version - Schema version
+     * @returns {Object|null} Rules, or null for an unknown version
+     */
+    getRulesForVersion(version) {
+        if (version === this.schemaVersion) {
+            return this.validationRules;
+        }
+        
+        const history = this.schemaHistory[version];
+        if (!history) {
+            return null;
+        }
+        
+        const rename = zone => history.zoneNames[zone] || zone;
+        return {
+            ...this.validationRules,
+            requiredZones: this.validationRules.requiredZones.map(rename),
+            muscleZones: this.validationRules.muscleZones.map(rename)
+        };
+    }
+    
+    /**
+     * Migrates a body map between schema versions, in either direction.
+     * Maps without `_version` are taken to be at the current version.
+     * @param {Object} bodyMap - Body map to migrate; not modified
+     * @param {string} toVersion - Version to migrate to (defaults to the current one)
+     * @returns {Object} { success, map, from, to, steps, error }
+     */
+    migrateBodyMap(bodyMap, toVersion = this.schemaVersion) {
+        const from = bodyMap && typeof bodyMap._version === 'string' ? bodyMap._version : this.schemaVersion;
+        const result = { success: false, map: null, from, to: toVersion, steps: [] };
+        
+        if (!bodyMap || typeof bodyMap !== 'object' || Array.isArray(bodyMap)) {
+            return { ...result, error: 'Body map must be a plain object' };
+        }
+        
+        for (const version of [from, toVersion]) {
+            if (!this.getRulesForVersion(version)) {
+                return { ...result, error: `Unsupported body map version: ${version}` };
+            }
+        }
+        
+        const map = JSON.parse(JSON.stringify(bodyMap));
+        const upgrade = this.compareSchemaVersions(from, toVersion) < 0;
+        const low = upgrade ? from : toVersion;
+        const high = upgrade ? toVersion : from;
+        
+        const migrations = this.schemaMigrations.filter(step =>
+            this.compareSchemaVersions(step.from, low) >= 0 && this.compareSchemaVersions(step.to, high) <= 0
+        );
+        if (!upgrade) {
+            migrations.reverse();
+        }
+        
+        for (const step of migrations) {
+            const renames = Object.entries(step.zoneRenames || {});
+            for (const [oldName, newName] of renames) {
+                const [fromZone, toZone] = upgrade ? [oldName, newName] : [newName, oldName];
+                if (map[fromZone] === undefined) continue;
+                
+                if (map[toZone] !== undefined) {
+                    return { ...result, error: `Can't migrate ${step.from} -> ${step.to}: both '${fromZone}' and '${toZone}' are present` };
+                }
+                
+                map[toZone] = map[fromZone];
+                delete map[fromZone];
+            }
+            
+            result.steps.push(upgrade ? { from: step.from, to: step.to } : { from: step.to, to: step.from });
+        }
+        
+        if (result.steps.length > 0) {
+            map._version = toVersion;
+        }
+        
+        return { ...result, success: true, map };
+    }
+    
+    /**
+     * Builds the JSON Schema (draft 2020-12) for a body map schema version
+     * from the validation rules, for validating maps outside Threadshift.
+     * @param {string} version - Schema version (defaults to the current one)
+     * @returns {Object|null} JSON Schema document, or null for an unknown version
+     */
+    getJsonSchema(version = this.schemaVersion) {
+        const rules = this.getRulesForVersion(version);
+        if (!rules) {
+            return null;
+        }
+        
+        const ref = name => ({ $ref: `#/$defs/${name}` });
+        const nonEmptyString = { type: 'string', minLength: 1 };
+        const depth = {
+            type: 'object',
+            properties: {
+                depth_inches: { type: 'number', minimum: 0 }
+            }
+        };
+        
+        const defs = {
+            mark: {
+                type: 'object',
+                required: ['type', 'description', 'location_detail', 'visibility'],
+                properties: {
+                    type: { enum: [...rules.validMarkTypes] },
+                    description: nonEmptyString,
+                    location_detail: nonEmptyString,
+                    visibility: { enum: [...rules.validVisibilityLevels] }
+                }
+            },
+            pluginData: {
+                type: 'object',
+                additionalProperties: { type: ['string', 'number', 'boolean'] }
+            },
+            zone: {
+                type: 'object',
+                required: ['descriptor', 'care', 'marks', '_plugin'],
+                properties: {
+                    descriptor: { type: 'string' },
+                    care: { type: 'string' },
+                    marks: { type: 'array', items: ref('mark') },
+                    _plugin: ref('pluginData')
+                }
+            },
+            muscleZone: {
+                allOf: [ref('zone')],
+                required: ['tone'],
+                properties: {
+                    tone: nonEmptyString
+                }
+            },
+            vagina: {
+                allOf: [ref('zone')],
+                required: ['tightness_level'],
+                properties: {
+                    internal: depth,
+                    tightness_level: nonEmptyString,
+                    ridge_presence: { type: 'boolean' },
+                    g_spot_ridge: { type: 'string' },
+                    hymen_intact: { type: 'boolean' }
+                }
+            },
+            penis: {
+                allOf: [ref('zone')],
+                properties: {
+                    size: {
+                        type: 'object',
+                        properties: {
+                            length_erect_inches: { type: 'number', minimum: 0 },
+                            length_flaccid_inches: { type: 'number', minimum: 0 },
+                            girth_inches: { type: 'number', minimum: 0 }
+                        }
+                    },
+                    circumcised: { type: 'boolean' }
+                }
+            },
+            anal: {
+                allOf: [ref('zone')],
+                properties: {
+                    internal: depth,
+                    tightness_level: { type: 'string' }
+                }
+            }
+        };
+        
+        const genitalTypes = {};
+        for (const type of rules.validGenitalTypes) {
+            genitalTypes[type] = ref(defs[type] ? type : 'zone');
+        }
+        defs.genitals = {
+            allOf: [ref('zone')],
+            properties: genitalTypes,
+            anyOf: rules.validGenitalTypes.map(type => ({ required: [type] }))
+        };
+        
+        const zones = {};
+        for (const zone of new Set([...rules.requiredZones, ...this.zoneDefinitions.keys()])) {
+            if (zone === 'genitals') {
+                zones[zone] = ref('genitals');
+            } else {
+                zones[zone] = ref(rules.muscleZones.includes(zone) ? 'muscleZone' : 'zone');
+            }
+            
+            // Registered fields and constraints are layered over the base zone schema
+            const registered = this.zoneDefinitions.get(zone);
+            if (registered) {
+                zones[zone] = this.getZoneDefinitionJsonSchema(registered, zones[zone]);
+            }
+        }
+        
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: `urn:threadshift:body-map:${version}`,
+            title: `Threadshift body map ${version}`,
+            description: `Generated by ThreadshiftBodyMapValidator. Forbidden zones: ${rules.invalidZones.join(', ')}.`,
+            type: 'object',
+            required: this.getRequiredZones(rules),
+            properties: {
+                _version: { type: 'string', const: version },
+                ...zones
+            },
+            patternProperties: {
+                '^_': {}
+            },
+            additionalProperties: false,
+            $defs: defs
+        };
+    }
+    
+    /**
+     * Builds the JSON Schema of a registered zone definition
+     * @param {Object} definition - Registered zone definition
+     * @param {Object} base - Schema of the zone the definition is layered over
+     * @returns {Object} Zone schema
+     */
+    getZoneDefinitionJsonSchema(definition, base) {
+        const schema = { allOf: [base], properties: {} };
+        const required = [];
+        
+        for (const [field, spec] of Object.entries(definition.fields)) {
+            if (spec.required) required.push(field);
+            
+            if (spec.type === 'marks') {
+                schema.properties[field] = { type: 'array', items: { $ref: '#/$defs/mark' } };
+                continue;
+            }
+            
+            if (spec.type === 'plugin') {
+                schema.properties[field] = { $ref: '#/$defs/pluginData' };
+                continue;
+            }
+            
+            const property = { type: spec.type };
+            if (spec.enum) property.enum = [...spec.enum];
+            if (spec.min !== undefined) property.minimum = spec.min;
+            if (spec.max !== undefined) property.maximum = spec.max;
+            if (spec.minLength !== undefined) property.minLength = spec.minLength;
+            schema.properties[field] = property;
+        }
+        
+        if (required.length > 0) {
+            schema.required = required;
+        }
+        
+        if (definition.description) {
+            schema.description = definition.description;
+        }
+        
+        // Declarative constraints translate to if/then; check functions can only be named
+        const unchecked = [];
+        for (const constraint of definition.constraints) {
+            if (typeof constraint.check === 'function') {
+                unchecked.push(constraint.message);
+                continue;
+            }
+            
+            const { field, equals } = constraint.when;
+            schema.allOf.push({
+                if: equals === undefined
+                    ? { required: [field] }
+                    : { required: [field], properties: { [field]: { const: equals } } },
+                then: { required: [...constraint.require] }
+            });
+        }
+        
+        if (unchecked.length > 0) {
+            schema.$comment = `Also checked by Threadshift: ${unchecked.join('; ')}`;
+        }
+        
+        return schema;
+    }
+    
+    /**
+     * Creates a validation finding
+     * @param {Object} finding - Finding fields
+     * @param {string} finding.path - JSON pointer to the offending value ('' for the whole map)
+     * @param {string} finding.code - Stable finding code
+     * @param {string} finding.message - Human-readable message
+     * @param {string} [finding.severity='error'] - 'error', 'warning' or 'info'
+     * @param {*} [finding.expected] - What the rule expects
+     * @param {*} [finding.actual] - What the map has
+     * @returns {Object} { path, code, severity, expected, actual, message }
+     */
+    createFinding({ path, code, message, severity = 'error', expected = null, actual = null }) {
+        return { path, code, severity, expected, actual, message };
+    }
+    
+    /**
+     * Builds a JSON pointer from path segments
+     */
+    toPointer(...segments) {
+        return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    }
+    
+    /**
+     * Describes a value's type for a finding's `actual`
+     */
+    describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+    
     /**
      * Validate basic structure of body map
      */
-    validateBasicStructure(bodyMap, errors) {
+    validateBasicStructure(bodyMap, findings) {
         // Check if it's an object
         if (typeof bodyMap !== 'object' || Array.isArray(bodyMap)) {
-            errors.push('Body map must be a plain object');
+            findings.push(this.createFinding({
+                path: '', code: 'type_mismatch', expected: 'object', actual: this.describeType(bodyMap),
+                message: 'Body map must be a plain object'
+            }));
             return;
         }
         
         // Check for completely empty body map
         if (Object.keys(bodyMap).length === 0) {
-            errors.push('Body map cannot be empty');
+            findings.push(this.createFinding({
+                path: '', code: 'empty_body_map', message: 'Body map cannot be empty'
+            }));
             return;
         }
         
         // Validate schema version if present
         if (bodyMap._version && typeof bodyMap._version !== 'string') {
-            errors.push('Body map version must be a string');
+            findings.push(this.createFinding({
+                path: '/_version', code: 'type_mismatch', expected: 'string', actual: this.describeType(bodyMap._version),
+                message: 'Body map version must be a string'
+            }));
+        }
+        
+        if (bodyMap._version === undefined) {
+            findings.push(this.createFinding({
+                path: '/_version', code: 'unversioned_map', severity: 'info', expected: this.schemaVersion,
+                message: `Body map has no version; validated as ${this.schemaVersion}`
+            }));
         }
     }
     
     /**
      * Validate that all required zones are present
      */
-    validateRequiredZones(bodyMap, errors) {
-        for (const zone of this.validationRules.requiredZones) {
+    validateRequiredZones(bodyMap, findings, rules = this.validationRules) {
+        for (const zone of this.getRequiredZones(rules)) {
             if (!bodyMap[zone]) {
-                errors.push(`Missing required zone: ${zone}`);
+                findings.push(this.createFinding({
+                    path: this.toPointer(zone), code: 'missing_zone', expected: 'object', actual: this.describeType(bodyMap[zone]),
+                    message: `Missing required zone: ${zone}`
+                }));
             }
         }
     }
@@ -197,10 +1332,13 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Validate that invalid zones are not present
      */
-    validateInvalidZones(bodyMap, errors) {
-        for (const zone of this.validationRules.invalidZones) {
+    validateInvalidZones(bodyMap, findings, rules = this.validationRules) {
+        for (const zone of rules.invalidZones) {
             if (bodyMap[zone]) {
-                errors.push(`Invalid zone present: ${zone} (should not be included)`);
+                findings.push(this.createFinding({
+                    path: this.toPointer(zone), code: 'forbidden_zone', expected: 'undefined', actual: this.describeType(bodyMap[zone]),
+                    message: `Invalid zone present: ${zone} (should not be included)`
+                }));
             }
         }
     }
@@ -208,106 +1346,213 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Validate all zones in the body map
      */
-    validateZones(bodyMap, errors) {
+    validateZones(bodyMap, findings, rules = this.validationRules) {
         for (const [zoneName, zoneData] of Object.entries(bodyMap)) {
             // Skip metadata fields
             if (zoneName.startsWith('_')) continue;
             
             // Validate zone name
-            if (!this.isValidZone(zoneName)) {
-                errors.push(`Invalid zone name: ${zoneName}`);
+            if (!this.isValidZone(zoneName, rules)) {
+                findings.push(this.createFinding({
+                    path: this.toPointer(zoneName), code: 'unknown_zone', expected: this.getRequiredZones(rules), actual: zoneName,
+                    message: `Invalid zone name: ${zoneName}`
+                }));
                 continue;
             }
             
             // Validate zone structure
-            this.validateZoneStructure(zoneName, zoneData, errors);
+            this.validateZoneStructure(zoneName, zoneData, findings, rules);
         }
     }
     
     /**
      * Validate individual zone structure
+     * @param {string} path - JSON pointer of the zone (defaults to the top-level zone)
      */
-    validateZoneStructure(zoneName, zoneData, errors) {
+    validateZoneStructure(zoneName, zoneData, findings, rules = this.validationRules, path = this.toPointer(zoneName)) {
         if (!zoneData || typeof zoneData !== 'object') {
-            errors.push(`Zone '${zoneName}' must be an object`);
+            findings.push(this.createFinding({
+                path, code: 'type_mismatch', expected: 'object', actual: this.describeType(zoneData),
+                message: `Zone '${zoneName}' must be an object`
+            }));
             return;
         }
         
-        // Required fields for all zones
-        const requiredFields = ['descriptor', 'care', 'marks', '_plugin'];
+        // Fields come from the zone's definition (standard fields plus registered ones)
+        const definition = this.getZoneDefinition(zoneName, rules);
+        
+        for (const [field, spec] of Object.entries(definition.fields)) {
+            this.validateZoneField(zoneName, field, spec, zoneData[field], findings, rules, path);
+        }
+        
+        // Cross-field constraints
+        for (const constraint of definition.constraints) {
+            if (!this.checkZoneConstraint(constraint, zoneData)) {
+                findings.push(this.createFinding({
+                    path, code: 'constraint_failed',
+                    expected: constraint.when ? { when: constraint.when, require: constraint.require } : constraint.message,
+                    message: `Zone '${zoneName}' ${constraint.message}`
+                }));
+            }
+        }
+    }
+    
+    /**
+     * Validate one zone field against its spec
+     */
+    validateZoneField(zoneName, field, spec, value, findings, rules, zonePath) {
+        const prefix = `Zone '${zoneName}' field '${field}'`;
+        const path = `${zonePath}${this.toPointer(field)}`;
         
-        for (const field of requiredFields) {
-            if (!(field in zoneData)) {
-                errors.push(`Zone '${zoneName}' missing required field: ${field}`);
+        if (value === undefined) {
+            if (spec.required) {
+                findings.push(this.createFinding({
+                    path, code: 'missing_field', expected: spec.type,
+                    message: `Zone '${zoneName}' missing required field: ${field}`
+                }));
             }
+            return;
+        }
+        
+        if (spec.type === 'marks') {
+            this.validateMarksArray(zoneName, value, findings, rules, path);
+            return;
+        }
+        
+        if (spec.type === 'plugin') {
+            this.validatePluginData(zoneName, value, findings, path);
+            return;
         }
         
-        // Validate field types
-        if (zoneData.descriptor && typeof zoneData.descriptor !== 'string') {
-            errors.push(`Zone '${zoneName}' field 'descriptor' must be a string`);
+        if (!this.matchesFieldType(value, spec.type)) {
+            findings.push(this.createFinding({
+                path, code: 'type_mismatch', expected: spec.type, actual: this.describeType(value),
+                message: `${prefix} must be ${/^[aeiou]/.test(spec.type) ? 'an' : 'a'} ${spec.type}`
+            }));
+            return;
         }
         
-        if (zoneData.care && typeof zoneData.care !== 'string') {
-            errors.push(`Zone '${zoneName}' field 'care' must be a string`);
+        if (spec.enum && !spec.enum.includes(value)) {
+            findings.push(this.createFinding({
+                path, code: 'invalid_enum', expected: [...spec.enum], actual: value,
+                message: `${prefix} must be one of: ${spec.enum.join(', ')}`
+            }));
         }
         
-        // Validate marks array
-        if (zoneData.marks) {
-            this.validateMarksArray(zoneName, zoneData.marks, errors);
+        if (spec.minLength !== undefined && typeof value === 'string' && value.length < spec.minLength) {
+            findings.push(this.createFinding({
+                path, code: spec.minLength === 1 ? 'empty_value' : 'too_short', expected: { minLength: spec.minLength }, actual: value,
+                message: spec.minLength === 1
+                    ? `${prefix} must not be empty`
+                    : `${prefix} must be at least ${spec.minLength} characters long`
+            }));
         }
         
-        // Validate plugin data
-        if (zoneData._plugin) {
-            this.validatePluginData(zoneName, zoneData._plugin, errors);
+        if (spec.min !== undefined && typeof value === 'number' && value < spec.min) {
+            findings.push(this.createFinding({
+                path, code: 'out_of_range', expected: { min: spec.min }, actual: value,
+                message: `${prefix} must be >= ${spec.min}`
+            }));
         }
         
-        // Validate tone field for muscle zones
-        if (this.validationRules.muscleZones.includes(zoneName)) {
-            if (!zoneData.tone) {
-                errors.push(`Zone '${zoneName}' missing required field: tone`);
-            } else if (typeof zoneData.tone !== 'string') {
-                errors.push(`Zone '${zoneName}' field 'tone' must be a string`);
+        if (spec.max !== undefined && typeof value === 'number' && value > spec.max) {
+            findings.push(this.createFinding({
+                path, code: 'out_of_range', expected: { max: spec.max }, actual: value,
+                message: `${prefix} must be <= ${spec.max}`
+            }));
+        }
+    }
+    
+    matchesFieldType(value, type) {
+        switch (type) {
+            case 'number':
+                return typeof value === 'number' && !isNaN(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+    
+    /**
+     * Checks a cross-field constraint; true when satisfied
+     */
+    checkZoneConstraint(constraint, zoneData) {
+        if (typeof constraint.check === 'function') {
+            try {
+                return Boolean(constraint.check(zoneData));
+            } catch (error) {
+                this.logWarning(`Zone constraint threw: ${error.message}`);
+                return false;
             }
         }
+        
+        const { field, equals } = constraint.when;
+        const applies = equals === undefined ? zoneData[field] !== undefined : zoneData[field] === equals;
+        return !applies || constraint.require.every(required => zoneData[required] !== undefined);
     }
     
     /**
      * Validate marks array
      */
-    validateMarksArray(zoneName, marks, errors) {
+    validateMarksArray(zoneName, marks, findings, rules = this.validationRules, path = this.toPointer(zoneName, 'marks')) {
         if (!Array.isArray(marks)) {
-            errors.push(`Zone '${zoneName}' field 'marks' must be an array`);
+            findings.push(this.createFinding({
+                path, code: 'type_mismatch', expected: 'array', actual: this.describeType(marks),
+                message: `Zone '${zoneName}' field 'marks' must be an array`
+            }));
             return;
         }
         
         for (let i = 0; i < marks.length; i++) {
             const mark = marks[i];
             const markPrefix = `Zone '${zoneName}' mark[${i}]`;
+            const markPath = `${path}/${i}`;
             
             if (!mark || typeof mark !== 'object') {
-                errors.push(`${markPrefix} must be an object`);
+                findings.push(this.createFinding({
+                    path: markPath, code: 'type_mismatch', expected: 'object', actual: this.describeType(mark),
+                    message: `${markPrefix} must be an object`
+                }));
                 continue;
             }
             
             // Validate required mark fields
             if (!mark.type) {
-                errors.push(`${markPrefix} missing required field: type`);
-            } else if (!this.validationRules.validMarkTypes.includes(mark.type)) {
-                errors.push(`${markPrefix} invalid type: ${mark.type}`);
-            }
-            
-            if (!mark.description || typeof mark.description !== 'string') {
-                errors.push(`${markPrefix} field 'description' must be a non-empty string`);
+                findings.push(this.createFinding({
+                    path: `${markPath}/type`, code: 'missing_field', expected: [...rules.validMarkTypes], actual: mark.type,
+                    message: `${markPrefix} missing required field: type`
+                }));
+            } else if (!rules.validMarkTypes.includes(mark.type)) {
+                findings.push(this.createFinding({
+                    path: `${markPath}/type`, code: 'invalid_enum', expected: [...rules.validMarkTypes], actual: mark.type,
+                    message: `${markPrefix} invalid type: ${mark.type}`
+                }));
             }
             
-            if (!mark.location_detail || typeof mark.location_detail !== 'string') {
-                errors.push(`${markPrefix} field 'location_detail' must be a non-empty string`);
+            for (const field of ['description', 'location_detail']) {
+                if (!mark[field] || typeof mark[field] !== 'string') {
+                    findings.push(this.createFinding({
+                        path: `${markPath}/${field}`,
+                        code: typeof mark[field] === 'string' ? 'empty_value' : (mark[field] === undefined ? 'missing_field' : 'type_mismatch'),
+                        expected: 'string', actual: mark[field] === undefined ? null : mark[field],
+                        message: `${markPrefix} field '${field}' must be a non-empty string`
+                    }));
+                }
             }
             
             if (!mark.visibility) {
-                errors.push(`${markPrefix} missing required field: visibility`);
-            } else if (!this.validationRules.validVisibilityLevels.includes(mark.visibility)) {
-                errors.push(`${markPrefix} invalid visibility: ${mark.visibility}`);
+                findings.push(this.createFinding({
+                    path: `${markPath}/visibility`, code: 'missing_field', expected: [...rules.validVisibilityLevels], actual: mark.visibility,
+                    message: `${markPrefix} missing required field: visibility`
+                }));
+            } else if (!rules.validVisibilityLevels.includes(mark.visibility)) {
+                findings.push(this.createFinding({
+                    path: `${markPath}/visibility`, code: 'invalid_enum', expected: [...rules.validVisibilityLevels], actual: mark.visibility,
+                    message: `${markPrefix} invalid visibility: ${mark.visibility}`
+                }));
             }
         }
     }
@@ -315,9 +1560,12 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Validate plugin data
      */
-    validatePluginData(zoneName, pluginData, errors) {
-        if (typeof pluginData !== 'object' || Array.isArray(pluginData)) {
-            errors.push(`Zone '${zoneName}' field '_plugin' must be an object`);
+    validatePluginData(zoneName, pluginData, findings, path = this.toPointer(zoneName, '_plugin')) {
+        if (typeof pluginData !== 'object' || pluginData === null || Array.isArray(pluginData)) {
+            findings.push(this.createFinding({
+                path, code: 'type_mismatch', expected: 'object', actual: this.describeType(pluginData),
+                message: `Zone '${zoneName}' field '_plugin' must be an object`
+            }));
             return;
         }
         
@@ -325,7 +1573,11 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         for (const [key, value] of Object.entries(pluginData)) {
             const valueType = typeof value;
             if (!['string', 'number', 'boolean'].includes(valueType)) {
-                errors.push(`Zone '${zoneName}' plugin field '${key}' must be string, number, or boolean`);
+                findings.push(this.createFinding({
+                    path: `${path}${this.toPointer(key)}`, code: 'type_mismatch',
+                    expected: ['string', 'number', 'boolean'], actual: this.describeType(value),
+                    message: `Zone '${zoneName}' plugin field '${key}' must be string, number, or boolean`
+                }));
             }
         }
     }
@@ -333,25 +1585,31 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Validate genital zone specifically
      */
-    validateGenitalZone(genitals, errors) {
+    validateGenitalZone(genitals, findings, rules = this.validationRules) {
         if (!genitals || typeof genitals !== 'object') {
-            errors.push("Genitals zone must be an object");
+            findings.push(this.createFinding({
+                path: '/genitals', code: 'type_mismatch', expected: 'object', actual: this.describeType(genitals),
+                message: 'Genitals zone must be an object'
+            }));
             return;
         }
         
         // Must have at least one genital type
-        const hasValidGenitalType = this.validationRules.validGenitalTypes.some(type => 
+        const hasValidGenitalType = rules.validGenitalTypes.some(type => 
             genitals[type] && typeof genitals[type] === 'object'
         );
         
         if (!hasValidGenitalType) {
-            errors.push("Genitals zone must contain at least one of: vagina, penis, anal");
+            findings.push(this.createFinding({
+                path: '/genitals', code: 'missing_genital_type', expected: [...rules.validGenitalTypes],
+                message: `Genitals zone must contain at least one of: ${rules.validGenitalTypes.join(', ')}`
+            }));
         }
         
         // Validate each genital type present
-        for (const type of this.validationRules.validGenitalTypes) {
+        for (const type of rules.validGenitalTypes) {
             if (genitals[type]) {
-                this.validateGenitalType(type, genitals[type], errors);
+                this.validateGenitalType(type, genitals[type], findings, rules);
             }
         }
     }
@@ -359,119 +1617,131 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Validate specific genital type
      */
-    validateGenitalType(type, genitalData, errors) {
+    validateGenitalType(type, genitalData, findings, rules = this.validationRules) {
         const prefix = `genitals.${type}`;
         
         // Standard zone fields
-        this.validateZoneStructure(type, genitalData, errors);
+        this.validateZoneStructure(type, genitalData, findings, rules, this.toPointer('genitals', type));
         
         // Type-specific validations
         switch (type) {
             case 'vagina':
-                this.validateVaginaFields(genitalData, errors, prefix);
+                this.validateVaginaFields(genitalData, findings, prefix);
                 break;
             case 'penis':
-                this.validatePenisFields(genitalData, errors, prefix);
+                this.validatePenisFields(genitalData, findings, prefix);
                 break;
             case 'anal':
-                this.validateAnalFields(genitalData, errors, prefix);
+                this.validateAnalFields(genitalData, findings, prefix);
                 break;
         }
     }
     
     /**
-     * Validate vagina-specific fields
+     * Check a genital field's type; `prefix` is the dotted path used in messages
+     * @returns {boolean} True if the field is absent or has the right type
      */
-    validateVaginaFields(vaginaData, errors, prefix) {
-        // Internal fields
-        if (vaginaData.internal) {
-            if (typeof vaginaData.internal !== 'object') {
-                errors.push(`${prefix}.internal must be an object`);
-            } else {
-                if (vaginaData.internal.depth_inches !== undefined) {
-                    if (typeof vaginaData.internal.depth_inches !== 'number' || vaginaData.internal.depth_inches < 0) {
-                        errors.push(`${prefix}.internal.depth_inches must be a number >= 0`);
-                    }
-                }
-            }
+    checkGenitalField(data, field, type, findings, prefix, options = {}) {
+        const value = field.split('.').reduce((current, key) => (current ? current[key] : undefined), data);
+        const path = `/${prefix.replace(/\./g, '/')}/${field.replace(/\./g, '/')}`;
+        const label = `${prefix}.${field}`;
+        
+        if (value === undefined && !options.required) {
+            return true;
         }
         
-        // Required fields
-        if (!vaginaData.tightness_level || typeof vaginaData.tightness_level !== 'string') {
-            errors.push(`${prefix}.tightness_level must be a non-empty string`);
+        if (options.nonEmpty && (!value || typeof value !== type)) {
+            findings.push(this.createFinding({
+                path, code: value === undefined ? 'missing_field' : (typeof value === type ? 'empty_value' : 'type_mismatch'),
+                expected: type, actual: value === undefined ? null : value,
+                message: `${label} must be a non-empty ${type}`
+            }));
+            return false;
         }
         
-        if (vaginaData.ridge_presence !== undefined && typeof vaginaData.ridge_presence !== 'boolean') {
-            errors.push(`${prefix}.ridge_presence must be a boolean`);
+        if (typeof value !== type || value === null) {
+            findings.push(this.createFinding({
+                path, code: 'type_mismatch', expected: type, actual: this.describeType(value),
+                message: options.min !== undefined
+                    ? `${label} must be a number >= ${options.min}`
+                    : `${label} must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`
+            }));
+            return false;
         }
         
-        if (vaginaData.g_spot_ridge !== undefined && typeof vaginaData.g_spot_ridge !== 'string') {
-            errors.push(`${prefix}.g_spot_ridge must be a string`);
+        if (options.min !== undefined && value < options.min) {
+            findings.push(this.createFinding({
+                path, code: 'out_of_range', expected: { min: options.min }, actual: value,
+                message: `${label} must be a number >= ${options.min}`
+            }));
+            return false;
         }
         
-        if (vaginaData.hymen_intact !== undefined && typeof vaginaData.hymen_intact !== 'boolean') {
-            errors.push(`${prefix}.hymen_intact must be a boolean`);
+        return true;
+    }
+    
+    /**
+     * Validate vagina-specific fields
+     */
+    validateVaginaFields(vaginaData, findings, prefix) {
+        // Internal fields
+        if (vaginaData.internal) {
+            if (this.checkGenitalField(vaginaData, 'internal', 'object', findings, prefix)) {
+                this.checkGenitalField(vaginaData, 'internal.depth_inches', 'number', findings, prefix, { min: 0 });
+            }
         }
+        
+        // Required fields
+        this.checkGenitalField(vaginaData, 'tightness_level', 'string', findings, prefix, { required: true, nonEmpty: true });
+        this.checkGenitalField(vaginaData, 'ridge_presence', 'boolean', findings, prefix);
+        this.checkGenitalField(vaginaData, 'g_spot_ridge', 'string', findings, prefix);
+        this.checkGenitalField(vaginaData, 'hymen_intact', 'boolean', findings, prefix);
     }
     
     /**
      * Validate penis-specific fields
      */
-    validatePenisFields(penisData, errors, prefix) {
+    validatePenisFields(penisData, findings, prefix) {
         // Size fields
         if (penisData.size) {
-            if (typeof penisData.size !== 'object') {
-                errors.push(`${prefix}.size must be an object`);
-            } else {
+            if (this.checkGenitalField(penisData, 'size', 'object', findings, prefix)) {
                 const sizeFields = ['length_erect_inches', 'length_flaccid_inches', 'girth_inches'];
                 for (const field of sizeFields) {
-                    if (penisData.size[field] !== undefined) {
-                        if (typeof penisData.size[field] !== 'number' || penisData.size[field] < 0) {
-                            errors.push(`${prefix}.size.${field} must be a number >= 0`);
-                        }
-                    }
+                    this.checkGenitalField(penisData, `size.${field}`, 'number', findings, prefix, { min: 0 });
                 }
             }
         }
         
         // Circumcision field
-        if (penisData.circumcised !== undefined && typeof penisData.circumcised !== 'boolean') {
-            errors.push(`${prefix}.circumcised must be a boolean`);
-        }
+        this.checkGenitalField(penisData, 'circumcised', 'boolean', findings, prefix);
     }
     
     /**
      * Validate anal-specific fields
      */
-    validateAnalFields(analData, errors, prefix) {
+    validateAnalFields(analData, findings, prefix) {
         // Internal fields
         if (analData.internal) {
-            if (typeof analData.internal !== 'object') {
-                errors.push(`${prefix}.internal must be an object`);
-            } else {
-                if (analData.internal.depth_inches !== undefined) {
-                    if (typeof analData.internal.depth_inches !== 'number' || analData.internal.depth_inches < 0) {
-                        errors.push(`${prefix}.internal.depth_inches must be a number >= 0`);
-                    }
-                }
+            if (this.checkGenitalField(analData, 'internal', 'object', findings, prefix)) {
+                this.checkGenitalField(analData, 'internal.depth_inches', 'number', findings, prefix, { min: 0 });
             }
         }
         
         // Tightness field (optional for anal)
-        if (analData.tightness_level !== undefined && typeof analData.tightness_level !== 'string') {
-            errors.push(`${prefix}.tightness_level must be a string`);
-        }
+        this.checkGenitalField(analData, 'tightness_level', 'string', findings, prefix);
     }
     
     /**
-     * Create validation result object
+     * Create validation result object. `errors` keeps the plain message view
+     * of the error findings for existing callers.
      */
-    createValidationResult(success, errors = []) {
+    createValidationResult(success, findings = [], schemaVersion = this.schemaVersion) {
         return {
             success: success,
-            errors: errors,
+            errors: findings.filter(finding => finding.severity === 'error').map(finding => finding.message),
+            findings: findings,
             timestamp: new Date().toISOString(),
-            schemaVersion: this.schemaVersion
+            schemaVersion: schemaVersion
         };
     }
     
@@ -516,8 +1786,8 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
             this.validationStats.failedValidations++;
             
             // Count error types
-            for (const error of result.errors) {
-                const errorType = this.categorizeError(error);
+            for (const finding of result.findings.filter(item => item.severity === 'error')) {
+                const errorType = this.categorizeError(finding);
                 this.validationStats.errorsByType[errorType] = 
                     (this.validationStats.errorsByType[errorType] || 0) + 1;
             }
@@ -531,6 +1801,8 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
      * Categorize error for statistics
      */
     categorizeError(error) {
+        if (error && typeof error === 'object') return error.code;
+        
         if (error.includes('Missing required zone')) return 'missing_zone';
         if (error.includes('Invalid zone')) return 'invalid_zone';
         if (error.includes('missing required field')) return 'missing_field';
@@ -542,8 +1814,11 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
     /**
      * Utility methods
      */
-    getRequiredZones() {
-        return [...this.validationRules.requiredZones];
+    getRequiredZones(rules = this.validationRules) {
+        const registered = Array.from(this.zoneDefinitions.values())
+            .filter(definition => definition.required && !rules.requiredZones.includes(definition.name))
+            .map(definition => definition.name);
+        return [...rules.requiredZones, ...registered];
     }
     
     getInvalidZones() {
@@ -554,9 +1829,10 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
         return [...this.validationRules.muscleZones];
     }
     
-    isValidZone(zoneName) {
-        return this.validationRules.requiredZones.includes(zoneName) ||
-               this.validationRules.validGenitalTypes.includes(zoneName);
+    isValidZone(zoneName, rules = this.validationRules) {
+        return rules.requiredZones.includes(zoneName) ||
+               rules.validGenitalTypes.includes(zoneName) ||
+               this.zoneDefinitions.has(zoneName);
     }
     
     isInvalidZone(zoneName) {
@@ -600,9 +1876,11 @@ class ThreadshiftBodyMapValidator extends ThreadshiftModule {
                 invalidZones: this.validationRules.invalidZones.length,
                 muscleZones: this.validationRules.muscleZones.length,
                 validMarkTypes: this.validationRules.validMarkTypes.length,
-                validGenitalTypes: this.validationRules.validGenitalTypes.length
+                validGenitalTypes: this.validationRules.validGenitalTypes.length,
+                registeredZones: this.zoneDefinitions.size
             },
-            schemaVersion: this.schemaVersion
+            schemaVersion: this.schemaVersion,
+            schemaVersions: this.getSchemaVersions()
         };
     }
 }
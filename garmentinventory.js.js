@@ -17,6 +17,28 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         this.garmentWornBy = new Map();    // garmentId -> userId (currently wearing)
         this.lastWornBy = new Map();       // garmentId -> userId (last worn by)
         
+        // Saved outfits - name -> { name, description, garmentIds, createdAt, lastModified }
+        this.outfits = new Map();
+        
+        // SillyTavern character ID (avatar filename) -> Threadshift character ID (charXXXX)
+        this.characterIdMap = new Map();
+        
+        // Garment ID prefix -> highest sequence allocated under it
+        this.garmentIdSequences = new Map();
+        
+        // Append-only provenance ledger - garmentId -> entries, oldest first
+        this.provenance = new Map();
+        
+        // Keys queryGarments understands
+        this.garmentFilterKeys = [
+            'owner', 'originOwner', 'lastWornBy', 'wornBy', 'worn', 'layer', 'zones', 'text',
+            'createdAt', 'lastModified', 'lastWornAt', 'and', 'or', 'not'
+        ];
+        this.garmentTimeFilterKeys = ['createdAt', 'lastModified', 'lastWornAt'];
+        this.garmentSortFields = [
+            'id', 'owner', 'originOwner', 'lastWornBy', 'layer', 'description', 'createdAt', 'lastModified', 'lastWornAt'
+        ];
+        
         // Zone indexing for fast lookups
         this.zoneIndex = new Map();        // zone -> Set of garment IDs affecting that zone
         this.ownerIndex = new Map();       // userId -> Set of garment IDs owned
@@ -30,11 +52,25 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         this.validationRules = {
             maxGarmentsPerOwner: 1000,
             maxDescriptionLength: 500,
-            requiredZones: ['hair', 'face', 'neck', 'chest', 'waist', 'hips', 'genitals', 'hands', 'legs', 'feet'],
+            requiredZones: ['hair', 'face', 'neck', 'chest', 'waist', 'butt', 'genitals', 'hands', 'legs', 'feet'],
             garmentIdPattern: /^\d{4}\.\d{4}$/,
-            characterIdPattern: /^char\d{4}$/
+            characterIdPattern: /^char\d{4}$/,
+            malformedCharacterIdPattern: /^char\d*$/i,
+            // Innermost first; a zone holds one garment per layer unless the layer is stackable
+            layers: ['underwear', 'base', 'outer', 'accessory'],
+            stackableLayers: ['accessory'],
+            defaultLayer: 'base',
+            // Integrity and cleanliness run from 0 (ruined) to 100 (pristine)
+            conditionDefaults: { integrity: 100, cleanliness: 100, tags: [], enchanted: false, cursed: false },
+            maxConditionTags: 20,
+            maxConditionTagLength: 50
         };
         
+        // Keys applyCondition understands
+        this.conditionChangeKeys = [
+            'integrity', 'cleanliness', 'adjust', 'addTags', 'removeTags', 'enchanted', 'cursed', 'reset'
+        ];
+        
         // Event tracking
         this.eventHistory = [];
         this.maxEventHistory = 100;
@@ -44,6 +80,11 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         if (!await super.initialize()) return false;
         
         try {
+            // Zone names come from the config zone registry
+            this.validationRules.requiredZones = [...this.getConfig('zones.canonical', this.validationRules.requiredZones)];
+            this.validationRules.layers = [...this.getConfig('garment.layers', this.validationRules.layers)];
+            this.validationRules.stackableLayers = [...this.getConfig('garment.stackableLayers', this.validationRules.stackableLayers)];
+            
             // Load existing inventory from storage
             await this.loadInventoryFromStorage();
             
@@ -75,14 +116,56 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
                 garmentWornBy: {},
                 lastWornBy: {},
                 wornGarments: {}
-            }
+            },
+            outfits: {},
+            characterIds: {},
+            idSequences: {}
         });
         
+        this.loadIdMappings(storageData);
+        await this.loadProvenanceFromStorage();
+        
+        // Older inventories may hold SillyTavern avatar IDs or hand-made garment IDs
+        const { data, characterIds, garmentIds } = this.rekeyInventoryData(storageData);
+        this.loadInventoryData(data);
+        
+        const rekeyedCount = Object.keys(characterIds).length + Object.keys(garmentIds).length;
+        if (rekeyedCount > 0) {
+            this.logInfo(`Re-keyed ${rekeyedCount} inventory IDs`);
+            this.rekeyProvenance(characterIds, garmentIds);
+            await this.saveInventoryToStorage();
+            await this.saveProvenanceToStorage();
+            this.fireEvent('inventory_rekeyed', { characterIds, garmentIds });
+        }
+    }
+
+    /**
+     * Load character ID mappings and garment ID sequences
+     */
+    loadIdMappings(storageData) {
+        for (const [stCharacterId, characterId] of Object.entries(storageData.characterIds || {})) {
+            this.characterIdMap.set(stCharacterId, characterId);
+        }
+        
+        for (const [prefix, sequence] of Object.entries(storageData.idSequences || {})) {
+            this.garmentIdSequences.set(prefix, Math.max(sequence, this.garmentIdSequences.get(prefix) || 0));
+        }
+    }
+
+    /**
+     * Load garments, outfits and worn state (storage shape) into memory
+     */
+    loadInventoryData(storageData) {
         // Load inventory
         for (const [garmentId, garmentData] of Object.entries(storageData.inventory)) {
             this.inventory.set(garmentId, this.validateGarmentData(garmentData));
         }
         
+        // Load outfits
+        for (const [name, outfit] of Object.entries(storageData.outfits || {})) {
+            this.outfits.set(name, outfit);
+        }
+        
         // Load worn state
         if (storageData.wornState) {
             const { garmentWornBy, lastWornBy, wornGarments } = storageData.wornState;
@@ -107,6 +190,9 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
     async saveInventoryToStorage() {
         const storageData = {
             inventory: Object.fromEntries(this.inventory),
+            outfits: Object.fromEntries(this.outfits),
+            characterIds: Object.fromEntries(this.characterIdMap),
+            idSequences: Object.fromEntries(this.garmentIdSequences),
             wornState: {
                 garmentWornBy: Object.fromEntries(this.garmentWornBy),
                 lastWornBy: Object.fromEntries(this.lastWornBy),
@@ -127,7 +213,7 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
      */
     validateGarmentData(garmentData) {
         const required = ['id', 'zones', 'owner', 'originOwner', 'description'];
-        const optional = ['lastHolder', 'lastWornBy', 'createdAt', 'lastModified'];
+        const optional = ['lastHolder', 'lastWornBy', 'lastWornAt', 'createdAt', 'lastModified', 'layer', 'condition'];
         
         // Check required fields
         for (const field of required) {
@@ -155,12 +241,26 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
             throw new Error('Zones must be a non-empty array');
         }
         
-        for (const zone of garmentData.zones) {
-            if (!this.validationRules.requiredZones.includes(zone)) {
+        // Aliases (e.g. hips) are stored under their canonical zone name
+        const zones = garmentData.zones.map(zone => {
+            const canonical = this.resolveZoneName(zone);
+            if (!canonical || !this.validationRules.requiredZones.includes(canonical)) {
                 throw new Error(`Invalid zone: ${zone}. Must be one of: ${this.validationRules.requiredZones.join(', ')}`);
             }
+            return canonical;
+        });
+        garmentData.zones = [...new Set(zones)];
+        
+        // Validate layer
+        if (garmentData.layer === undefined) {
+            garmentData.layer = this.validationRules.defaultLayer;
+        } else if (!this.validationRules.layers.includes(garmentData.layer)) {
+            throw new Error(`Invalid layer: ${garmentData.layer}. Must be one of: ${this.validationRules.layers.join(', ')}`);
         }
         
+        // Validate condition
+        garmentData.condition = this.validateCondition(garmentData.condition);
+        
         // Validate description length
         if (garmentData.description.length > this.validationRules.maxDescriptionLength) {
             throw new Error(`Description too long: ${garmentData.description.length} chars. Max: ${this.validationRules.maxDescriptionLength}`);
@@ -180,23 +280,53 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
 
     /**
      * Create a new garment
+     * @param {Object} garmentData - Garment fields; id is allocated when omitted
+     * @param {Object} context - { chatId, messageId } for the provenance ledger;
+     *   stCharacterIds: true maps owner IDs that are SillyTavern character IDs
      */
-    async createGarment(garmentData) {
+    async createGarment(garmentData, context = {}) {
         if (!this.isReady()) {
             throw new Error('GarmentInventory not ready');
         }
         
-        const validatedData = this.validateGarmentData(garmentData);
+        // Work on a copy so a rejected garment leaves the caller's object as it was
+        garmentData = { ...garmentData };
         
-        // Check if garment already exists
-        if (this.inventory.has(validatedData.id)) {
-            throw new Error(`Garment ${validatedData.id} already exists`);
+        // SillyTavern avatar IDs are only mapped when the caller says that's what they are
+        if (context.stCharacterIds) {
+            for (const field of ['owner', 'originOwner']) {
+                if (garmentData[field] && typeof garmentData[field] === 'string') {
+                    garmentData[field] = await this.resolveCharacterId(garmentData[field]);
+                }
+            }
         }
         
-        // Check owner garment limit
-        const ownerGarments = this.getGarmentsByOwner(validatedData.owner);
-        if (ownerGarments.length >= this.validationRules.maxGarmentsPerOwner) {
-            throw new Error(`Owner ${validatedData.owner} has reached maximum garment limit`);
+        // Read directly: getConfig falls back to the default for false
+        const autoGenerateIds = this.config ? this.config.get('garment.autoGenerateIds') !== false : true;
+        const sequences = new Map(this.garmentIdSequences);
+        
+        let validatedData;
+        try {
+            if (garmentData.id === undefined && autoGenerateIds) {
+                garmentData.id = this.allocateGarmentId(garmentData.originOwner);
+            }
+            
+            validatedData = this.validateGarmentData(garmentData);
+            
+            // Check if garment already exists
+            if (this.inventory.has(validatedData.id)) {
+                throw new Error(`Garment ${validatedData.id} already exists`);
+            }
+            
+            // Check owner garment limit
+            const ownerGarments = this.getGarmentsByOwner(validatedData.owner);
+            if (ownerGarments.length >= this.validationRules.maxGarmentsPerOwner) {
+                throw new Error(`Owner ${validatedData.owner} has reached maximum garment limit`);
+            }
+        } catch (error) {
+            // A rejected garment doesn't use up the ID allocated for it
+            this.garmentIdSequences = sequences;
+            throw error;
         }
         
         // Add to inventory
@@ -205,8 +335,14 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         // Update indexes
         this.updateIndexesForGarment(validatedData.id, validatedData);
         
+        this.appendProvenance('create', validatedData.id, {
+            characterId: validatedData.owner,
+            details: { originOwner: validatedData.originOwner }
+        }, context);
+        
         // Save to storage
         await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
         
         // Fire event
         this.fireEvent('garment_created', { garment: validatedData });
@@ -217,6 +353,295 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         return validatedData;
     }
 
+    /**
+     * Allocate the next free garment ID for an origin owner. The prefix is the
+     * owner's character number and the suffix a per-prefix sequence that never
+     * goes backwards, so IDs of deleted garments are not handed out again.
+     * @param {string} originOwner - Threadshift character ID (charXXXX)
+     * @param {Map|Set} taken - Garment IDs already in use
+     * @returns {string} Garment ID (XXXX.XXXX)
+     */
+    allocateGarmentId(originOwner, taken = this.inventory) {
+        if (!this.validationRules.characterIdPattern.test(originOwner)) {
+            throw new Error(`Cannot allocate a garment ID for originOwner: ${originOwner}. Must be charXXXX`);
+        }
+        
+        const prefix = originOwner.slice(-4);
+        let sequence = this.garmentIdSequences.get(prefix) || 0;
+        for (const id of taken.keys()) {
+            if (id.startsWith(`${prefix}.`) && this.validationRules.garmentIdPattern.test(id)) {
+                sequence = Math.max(sequence, parseInt(id.slice(5), 10));
+            }
+        }
+        
+        if (sequence >= 9999) {
+            throw new Error(`No garment IDs left for ${originOwner}`);
+        }
+        
+        sequence++;
+        this.garmentIdSequences.set(prefix, sequence);
+        return `${prefix}.${String(sequence).padStart(4, '0')}`;
+    }
+
+    /**
+     * Allocate the next unused Threadshift character ID
+     * @param {Iterable} reserved - Character IDs in use that the inventory does not know about yet
+     * @returns {string} Character ID (charXXXX)
+     */
+    allocateCharacterId(reserved = []) {
+        const known = [
+            ...reserved,
+            ...this.characterIdMap.values(),
+            ...this.ownerIndex.keys(),
+            ...this.wornGarments.keys(),
+            ...Array.from(this.inventory.values()).map(garment => garment.originOwner)
+        ];
+        
+        const highest = known
+            .filter(id => this.validationRules.characterIdPattern.test(id))
+            .reduce((max, id) => Math.max(max, parseInt(id.slice(4), 10)), 0);
+        
+        if (highest >= 9999) {
+            throw new Error('No character IDs left');
+        }
+        
+        return `char${String(highest + 1).padStart(4, '0')}`;
+    }
+
+    /**
+     * Get the Threadshift character ID mapped to a SillyTavern character ID
+     * @param {string} stCharacterId - SillyTavern character ID (avatar filename)
+     * @returns {string|null} Character ID, or null if unmapped
+     */
+    getCharacterId(stCharacterId) {
+        return this.characterIdMap.get(stCharacterId) || null;
+    }
+
+    /**
+     * Get the SillyTavern character ID mapped to a Threadshift character ID
+     * @param {string} characterId - Threadshift character ID (charXXXX)
+     * @returns {string|null} SillyTavern character ID, or null if unmapped
+     */
+    getSillyTavernCharacterId(characterId) {
+        for (const [stCharacterId, mappedId] of this.characterIdMap.entries()) {
+            if (mappedId === characterId) return stCharacterId;
+        }
+        return null;
+    }
+
+    /**
+     * Map a SillyTavern character ID to a Threadshift character ID,
+     * allocating a new one if none is given
+     * @param {string} stCharacterId - SillyTavern character ID (avatar filename)
+     * @param {string|null} characterId - Threadshift character ID to map to
+     * @returns {Promise<string>} Mapped character ID
+     */
+    async mapCharacterId(stCharacterId, characterId = null) {
+        if (!stCharacterId || typeof stCharacterId !== 'string') {
+            throw new Error('SillyTavern character ID must be a non-empty string');
+        }
+        
+        if (this.validationRules.characterIdPattern.test(stCharacterId)) {
+            throw new Error(`${stCharacterId} is already a Threadshift character ID`);
+        }
+        
+        // charXXXX look-alikes are typos, not avatar filenames
+        if (this.validationRules.malformedCharacterIdPattern.test(stCharacterId)) {
+            throw new Error(`Invalid character ID format: ${stCharacterId}. Must be charXXXX`);
+        }
+        
+        const existing = this.characterIdMap.get(stCharacterId);
+        if (existing && (!characterId || existing === characterId)) {
+            return existing;
+        }
+        
+        if (existing) {
+            throw new Error(`${stCharacterId} is already mapped to ${existing}`);
+        }
+        
+        if (characterId) {
+            if (!this.validationRules.characterIdPattern.test(characterId)) {
+                throw new Error(`Invalid character ID format: ${characterId}. Must be charXXXX`);
+            }
+            
+            const mappedFrom = this.getSillyTavernCharacterId(characterId);
+            if (mappedFrom) {
+                throw new Error(`${characterId} is already mapped to ${mappedFrom}`);
+            }
+        } else {
+            characterId = this.allocateCharacterId();
+        }
+        
+        this.characterIdMap.set(stCharacterId, characterId);
+        await this.saveInventoryToStorage();
+        
+        this.fireEvent('character_id_mapped', { stCharacterId, characterId });
+        
+        return characterId;
+    }
+
+    /**
+     * Resolve a character ID that may be a SillyTavern avatar ID to a
+     * Threadshift character ID, mapping it on first use
+     * @param {string} id - Threadshift or SillyTavern character ID
+     * @returns {Promise<string>} Threadshift character ID
+     */
+    async resolveCharacterId(id) {
+        if (this.validationRules.characterIdPattern.test(id)) {
+            return id;
+        }
+        return this.getCharacterId(id) || await this.mapCharacterId(id);
+    }
+
+    /**
+     * Re-key inventory data. Character IDs that are not charXXXX are mapped
+     * (allocating Threadshift IDs as needed) and garment IDs that are not
+     * XXXX.XXXX are reallocated under their origin owner. Explicit mappings
+     * take precedence. Wearer IDs are only changed when a mapping exists.
+     * Allocated IDs are recorded in the character map and ID sequences.
+     * @param {Object} data - Inventory data in storage or export shape
+     * @param {Object} options - { characterIds: { old: new }, garmentIds: { old: new } }
+     * @returns {Object} { data, characterIds, garmentIds } listing only the IDs that changed
+     */
+    rekeyInventoryData(data, options = {}) {
+        const { characterIdPattern, garmentIdPattern } = this.validationRules;
+        const explicitCharacters = options.characterIds || {};
+        const explicitGarments = options.garmentIds || {};
+        
+        for (const [from, to] of Object.entries(explicitCharacters)) {
+            if (!characterIdPattern.test(to)) {
+                throw new Error(`Invalid character ID format for ${from}: ${to}. Must be charXXXX`);
+            }
+        }
+        
+        for (const [from, to] of Object.entries(explicitGarments)) {
+            if (!garmentIdPattern.test(to)) {
+                throw new Error(`Invalid garment ID format for ${from}: ${to}. Must be XXXX.XXXX`);
+            }
+        }
+        
+        const inventory = data.inventory || {};
+        const wornState = data.wornState || {};
+        const reserved = new Set(Object.values(explicitCharacters));
+        for (const garment of Object.values(inventory)) {
+            [garment.owner, garment.originOwner, garment.lastHolder]
+                .filter(id => characterIdPattern.test(id))
+                .forEach(id => reserved.add(id));
+        }
+        
+        const characterIds = {};
+        const mapCharacter = (id, allocate) => {
+            if (!id || typeof id !== 'string') return id;
+            
+            let mapped = explicitCharacters[id] || (characterIdPattern.test(id) ? id : this.characterIdMap.get(id));
+            if (!mapped && allocate) {
+                mapped = this.allocateCharacterId(reserved);
+                reserved.add(mapped);
+                this.characterIdMap.set(id, mapped);
+            }
+            if (!mapped) return id;
+            
+            if (mapped !== id) characterIds[id] = mapped;
+            return mapped;
+        };
+        
+        // Explicit mappings from SillyTavern IDs join the map; renumbered IDs follow their avatar
+        for (const [from, to] of Object.entries(explicitCharacters)) {
+            if (characterIdPattern.test(from)) {
+                const stCharacterId = this.getSillyTavernCharacterId(from);
+                if (stCharacterId) this.characterIdMap.set(stCharacterId, to);
+            } else {
+                this.characterIdMap.set(from, to);
+            }
+        }
+        
+        // Explicit and already valid garment IDs are taken before any are allocated
+        const taken = new Set(Object.values(explicitGarments));
+        Object.keys(inventory)
+            .filter(id => !explicitGarments[id] && garmentIdPattern.test(id))
+            .forEach(id => taken.add(id));
+        
+        const garmentIds = {};
+        const rekeyedInventory = {};
+        for (const [id, garment] of Object.entries(inventory)) {
+            const rekeyed = {
+                ...garment,
+                originOwner: mapCharacter(garment.originOwner, true),
+                owner: mapCharacter(garment.owner, true),
+                ...(garment.lastHolder ? { lastHolder: mapCharacter(garment.lastHolder, true) } : {}),
+                ...(garment.lastWornBy ? { lastWornBy: mapCharacter(garment.lastWornBy, false) } : {})
+            };
+            
+            let newId = explicitGarments[id] || id;
+            if (!garmentIdPattern.test(newId)) {
+                newId = this.allocateGarmentId(rekeyed.originOwner, taken);
+                taken.add(newId);
+            }
+            
+            if (rekeyedInventory[newId]) {
+                throw new Error(`Garment ID collision while re-keying: ${newId}`);
+            }
+            
+            if (newId !== id) garmentIds[id] = newId;
+            rekeyedInventory[newId] = { ...rekeyed, id: newId };
+        }
+        
+        const mapGarment = id => garmentIds[id] || id;
+        const rekeyEntries = (entries = {}) => Object.fromEntries(
+            Object.entries(entries).map(([garmentId, userId]) => [mapGarment(garmentId), mapCharacter(userId, false)])
+        );
+        
+        return {
+            data: {
+                ...data,
+                inventory: rekeyedInventory,
+                outfits: Object.fromEntries(
+                    Object.entries(data.outfits || {}).map(([name, outfit]) => [
+                        name,
+                        { ...outfit, garmentIds: outfit.garmentIds.map(mapGarment) }
+                    ])
+                ),
+                wornState: {
+                    garmentWornBy: rekeyEntries(wornState.garmentWornBy),
+                    lastWornBy: rekeyEntries(wornState.lastWornBy),
+                    wornGarments: Object.fromEntries(
+                        Object.entries(wornState.wornGarments || {}).map(([userId, garmentArray]) => [
+                            mapCharacter(userId, false),
+                            garmentArray.map(mapGarment)
+                        ])
+                    )
+                }
+            },
+            characterIds,
+            garmentIds
+        };
+    }
+
+    /**
+     * Re-key the live inventory (see rekeyInventoryData) and persist it
+     * @param {Object} options - { characterIds: { old: new }, garmentIds: { old: new } }
+     * @returns {Promise<Object>} { characterIds, garmentIds } listing only the IDs that changed
+     */
+    async rekeyInventory(options = {}) {
+        const { data, characterIds, garmentIds } = this.rekeyInventoryData(this.exportInventory(), options);
+        
+        this.inventory.clear();
+        this.outfits.clear();
+        this.clearWornState();
+        this.cache.clear();
+        
+        this.loadInventoryData(data);
+        this.rebuildIndexes();
+        this.rekeyProvenance(characterIds, garmentIds);
+        
+        await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
+        
+        this.fireEvent('inventory_rekeyed', { characterIds, garmentIds });
+        
+        return { characterIds, garmentIds };
+    }
+
     /**
      * Get garment by ID
      */
@@ -242,9 +667,21 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
     }
 
     /**
-     * Update garment data
+     * Update garment data. Condition changes go through applyCondition, so the
+     * curse gate, the condition event and the provenance ledger see them.
      */
     async updateGarment(garmentId, updates) {
+        if (updates && Object.prototype.hasOwnProperty.call(updates, 'condition')) {
+            throw new Error('Garment condition cannot be updated directly; use applyCondition');
+        }
+        
+        return await this.writeGarmentUpdate(garmentId, updates);
+    }
+
+    /**
+     * Validate and store changed garment fields, keeping indexes, cache and storage in step
+     */
+    async writeGarmentUpdate(garmentId, updates) {
         if (!this.inventory.has(garmentId)) {
             throw new Error(`Garment ${garmentId} not found`);
         }
@@ -259,6 +696,14 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         // Validate updated data
         const validatedData = this.validateGarmentData(updatedGarment);
         
+        // A worn garment moved to another layer or zone must not clash with what its wearer has on
+        if (this.garmentWornBy.has(garmentId) && ('layer' in updates || 'zones' in updates)) {
+            const conflicts = this.findLayerConflicts([garmentId], this.garmentWornBy.get(garmentId), { [garmentId]: validatedData });
+            if (conflicts.length > 0) {
+                throw new Error(`Layer conflict: ${this.describeConflicts(conflicts)}`);
+            }
+        }
+        
         // Update inventory
         this.inventory.set(garmentId, validatedData);
         
@@ -287,16 +732,27 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
     /**
      * Delete garment
      */
-    async deleteGarment(garmentId) {
+    async deleteGarment(garmentId, context = {}) {
         if (!this.inventory.has(garmentId)) {
             throw new Error(`Garment ${garmentId} not found`);
         }
         
         const garment = this.inventory.get(garmentId);
         
+        // Deleting a worn garment takes it off, so the curse gate applies here too
+        this.assertRemovable(garmentId);
+        
+        this.appendProvenance('delete', garmentId, {
+            characterId: garment.owner,
+            details: { wornBy: this.garmentWornBy.get(garmentId) || null }
+        }, context);
+        
         // Remove from worn state
         this.removeFromWornState(garmentId);
         
+        // Remove from outfits
+        this.removeGarmentFromOutfits(garmentId);
+        
         // Remove from indexes
         this.removeFromIndexes(garmentId, garment);
         
@@ -308,6 +764,7 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         
         // Save to storage
         await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
         
         // Fire event
         this.fireEvent('garment_deleted', { garmentId, garment });
@@ -330,26 +787,339 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
      * Get garments by zone
      */
     getGarmentsByZone(zone) {
-        if (!this.validationRules.requiredZones.includes(zone)) {
+        const canonical = this.resolveZoneName(zone);
+        if (!canonical || !this.validationRules.requiredZones.includes(canonical)) {
             throw new Error(`Invalid zone: ${zone}`);
         }
         
-        const garmentIds = this.zoneIndex.get(zone) || new Set();
+        const garmentIds = this.zoneIndex.get(canonical) || new Set();
         return Array.from(garmentIds).map(id => this.getGarment(id)).filter(Boolean);
     }
 
+    /**
+     * Query garments with a compound filter. Keys in one filter object must
+     * all match; `and`, `or` and `not` combine nested filters.
+     *
+     * Filter keys:
+     *   owner, originOwner, lastWornBy, wornBy, layer - a character ID / layer or an array of them
+     *   zones - a zone or array (covers all), or { all: [...] } / { any: [...] }
+     *   worn - true or false
+     *   text - case-insensitive search in the description
+     *   createdAt, lastModified, lastWornAt - { from, to } or { within: ms } (from now)
+     *   and: [filters], or: [filters], not: filter
+     *
+     * Owner, zone and wearer filters narrow the search through the indexes
+     * before the remaining conditions are checked.
+     * @param {Object} filter - Garment filter
+     * @param {Object} options - { sort: field | { field, order } | array of them, offset, limit }
+     * @returns {Object} { garments, total, offset, limit }
+     */
+    queryGarments(filter = {}, options = {}) {
+        this.validateGarmentFilter(filter);
+        const sorts = this.normalizeGarmentSorts(options.sort);
+        
+        const candidates = this.getFilterCandidates(filter);
+        const ids = candidates ? Array.from(candidates) : Array.from(this.inventory.keys());
+        const now = Date.now();
+        
+        const matches = ids
+            .map(id => this.inventory.get(id))
+            .filter(garment => garment && this.matchesGarmentFilter(garment, filter, now));
+        
+        if (sorts.length > 0) {
+            matches.sort((a, b) => {
+                for (const { field, order } of sorts) {
+                    const result = this.compareGarmentField(a[field], b[field], order);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            });
+        }
+        
+        const offset = Math.max(0, options.offset || 0);
+        const limit = options.limit === undefined || options.limit === null ? null : Math.max(0, options.limit);
+        const page = matches.slice(offset, limit === null ? undefined : offset + limit);
+        
+        return {
+            garments: page.map(garment => this.getGarment(garment.id)).filter(Boolean),
+            total: matches.length,
+            offset,
+            limit
+        };
+    }
+
+    /**
+     * Check a filter's keys up front so typos fail loudly instead of matching everything
+     */
+    validateGarmentFilter(filter) {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            throw new Error('Garment filter must be an object');
+        }
+        
+        for (const [key, value] of Object.entries(filter)) {
+            if (!this.garmentFilterKeys.includes(key)) {
+                throw new Error(`Unknown garment filter: ${key}. Must be one of: ${this.garmentFilterKeys.join(', ')}`);
+            }
+            
+            if (key === 'and' || key === 'or') {
+                if (!Array.isArray(value)) {
+                    throw new Error(`Garment filter '${key}' must be an array of filters`);
+                }
+                value.forEach(child => this.validateGarmentFilter(child));
+            } else if (key === 'not') {
+                this.validateGarmentFilter(value);
+            } else if (key === 'zones') {
+                for (const zone of this.getFilterZones(value).zones) {
+                    if (!this.resolveZoneName(zone)) {
+                        throw new Error(`Invalid zone: ${zone}`);
+                    }
+                }
+            } else if (this.garmentTimeFilterKeys.includes(key)) {
+                this.validateTimeRange(key, value);
+            }
+        }
+    }
+
+    /**
+     * Check a time range filter is { from, to } or { within: ms }
+     */
+    validateTimeRange(key, range) {
+        if (!range || typeof range !== 'object' || Array.isArray(range)) {
+            throw new Error(`Garment filter '${key}' must be { from, to } or { within }`);
+        }
+        
+        const rangeKeys = ['from', 'to', 'within'];
+        for (const rangeKey of Object.keys(range)) {
+            if (!rangeKeys.includes(rangeKey)) {
+                throw new Error(`Unknown time range key in '${key}': ${rangeKey}. Must be one of: ${rangeKeys.join(', ')}`);
+            }
+        }
+        
+        if (range.within !== undefined) {
+            if (range.from !== undefined || range.to !== undefined) {
+                throw new Error(`Garment filter '${key}' takes either within or from/to, not both`);
+            }
+            if (typeof range.within !== 'number' || !(range.within >= 0)) {
+                throw new Error(`Garment filter '${key}' within must be a non-negative number of milliseconds`);
+            }
+        }
+        
+        for (const bound of ['from', 'to']) {
+            if (range[bound] !== undefined && Number.isNaN(new Date(range[bound]).getTime())) {
+                throw new Error(`Invalid date in garment filter '${key}' ${bound}: ${range[bound]}`);
+            }
+        }
+    }
+
+    /**
+     * Normalize sort options to [{ field, order }], rejecting unknown fields and orders
+     */
+    normalizeGarmentSorts(sort) {
+        return [].concat(sort || []).map(entry => {
+            const normalized = typeof entry === 'string' ? { field: entry, order: 'asc' } : { order: 'asc', ...entry };
+            
+            if (!this.garmentSortFields.includes(normalized.field)) {
+                throw new Error(`Unknown garment sort field: ${normalized.field}. Must be one of: ${this.garmentSortFields.join(', ')}`);
+            }
+            
+            if (normalized.order !== 'asc' && normalized.order !== 'desc') {
+                throw new Error(`Invalid sort order: ${normalized.order}. Must be asc or desc`);
+            }
+            
+            return normalized;
+        });
+    }
+
+    /**
+     * Narrow a filter to candidate garment IDs using the indexes
+     * @returns {Set|null} Candidate IDs, or null if every garment must be checked
+     */
+    getFilterCandidates(filter) {
+        const sets = [];
+        const union = (keys, index) => {
+            const result = new Set();
+            for (const key of keys) {
+                for (const id of index.get(key) || []) result.add(id);
+            }
+            return result;
+        };
+        
+        if (filter.owner !== undefined) {
+            sets.push(union([].concat(filter.owner), this.ownerIndex));
+        }
+        
+        if (filter.zones !== undefined) {
+            const { mode, zones } = this.getFilterZones(filter.zones);
+            const canonical = zones.map(zone => this.resolveZoneName(zone));
+            if (mode === 'any') {
+                sets.push(union(canonical, this.zoneIndex));
+            } else {
+                canonical.forEach(zone => sets.push(union([zone], this.zoneIndex)));
+            }
+        }
+        
+        if (filter.wornBy !== undefined) {
+            sets.push(union([].concat(filter.wornBy), this.wornGarments));
+        }
+        
+        if (filter.worn === true) {
+            sets.push(new Set(this.garmentWornBy.keys()));
+        }
+        
+        for (const child of filter.and || []) {
+            const childSet = this.getFilterCandidates(child);
+            if (childSet) sets.push(childSet);
+        }
+        
+        if (filter.or) {
+            const childSets = filter.or.map(child => this.getFilterCandidates(child));
+            if (childSets.length > 0 && childSets.every(Boolean)) {
+                sets.push(new Set(childSets.flatMap(childSet => Array.from(childSet))));
+            }
+        }
+        
+        if (sets.length === 0) {
+            return null;
+        }
+        
+        sets.sort((a, b) => a.size - b.size);
+        return new Set(Array.from(sets[0]).filter(id => sets.every(set => set.has(id))));
+    }
+
+    /**
+     * Check one garment against a filter
+     */
+    matchesGarmentFilter(garment, filter, now = Date.now()) {
+        const oneOf = (value, expected) => [].concat(expected).includes(value);
+        
+        for (const [key, value] of Object.entries(filter)) {
+            let matched;
+            switch (key) {
+                case 'owner':
+                case 'originOwner':
+                case 'lastWornBy':
+                    matched = oneOf(garment[key], value);
+                    break;
+                case 'layer':
+                    matched = oneOf(this.getGarmentLayer(garment), value);
+                    break;
+                case 'wornBy':
+                    matched = oneOf(this.garmentWornBy.get(garment.id), value);
+                    break;
+                case 'worn':
+                    matched = this.garmentWornBy.has(garment.id) === Boolean(value);
+                    break;
+                case 'zones': {
+                    const { mode, zones } = this.getFilterZones(value);
+                    const covers = zone => garment.zones.includes(this.resolveZoneName(zone));
+                    matched = mode === 'any' ? zones.some(covers) : zones.every(covers);
+                    break;
+                }
+                case 'text':
+                    matched = String(garment.description || '').toLowerCase().includes(String(value).toLowerCase());
+                    break;
+                case 'createdAt':
+                case 'lastModified':
+                case 'lastWornAt':
+                    matched = this.matchesTimeRange(garment[key], value, now);
+                    break;
+                case 'and':
+                    matched = value.every(child => this.matchesGarmentFilter(garment, child, now));
+                    break;
+                case 'or':
+                    matched = value.some(child => this.matchesGarmentFilter(garment, child, now));
+                    break;
+                case 'not':
+                    matched = !this.matchesGarmentFilter(garment, value, now);
+                    break;
+                default:
+                    matched = false;
+            }
+            
+            if (!matched) return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Normalize a zones filter to { mode: 'all' | 'any', zones }
+     */
+    getFilterZones(value) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return value.any ? { mode: 'any', zones: [].concat(value.any) } : { mode: 'all', zones: [].concat(value.all || []) };
+        }
+        return { mode: 'all', zones: [].concat(value) };
+    }
+
+    /**
+     * Check a timestamp against { from, to } or { within: ms }
+     */
+    matchesTimeRange(timestamp, range, now) {
+        if (!timestamp) return false;
+        
+        const time = new Date(timestamp).getTime();
+        const from = range.within !== undefined ? now - range.within : (range.from !== undefined ? new Date(range.from).getTime() : -Infinity);
+        const to = range.to !== undefined ? new Date(range.to).getTime() : Infinity;
+        
+        return time >= from && time <= to;
+    }
+
+    /**
+     * Compare garment field values for sorting; missing values sort last in either order
+     */
+    compareGarmentField(a, b, order = 'asc') {
+        if (a === b) return 0;
+        if (a === undefined || a === null) return 1;
+        if (b === undefined || b === null) return -1;
+        
+        const result = String(a).localeCompare(String(b));
+        return order === 'desc' ? -result : result;
+    }
+
     /**
      * Get garments worn by user
+     * @param {string} userId - Wearer
+     * @param {Object} options - { byZone: also return each zone's garments innermost first and the outermost one }
+     * @returns {Array|Object} Worn garments, or { garments, zones: { zone: { outermost, layers } } } with byZone
      */
-    getWornGarments(userId) {
+    getWornGarments(userId, options = {}) {
         const wornGarmentIds = this.wornGarments.get(userId) || new Set();
-        return Array.from(wornGarmentIds).map(id => this.getGarment(id)).filter(Boolean);
+        const garments = Array.from(wornGarmentIds).map(id => this.getGarment(id)).filter(Boolean);
+        
+        if (!options.byZone) {
+            return garments;
+        }
+        
+        const layerOrder = garment => this.validationRules.layers.indexOf(this.getGarmentLayer(garment));
+        const zones = {};
+        for (const garment of garments) {
+            for (const zone of garment.zones) {
+                if (!zones[zone]) zones[zone] = { outermost: null, layers: [] };
+                zones[zone].layers.push(garment);
+            }
+        }
+        
+        for (const entry of Object.values(zones)) {
+            entry.layers.sort((a, b) => layerOrder(a) - layerOrder(b));
+            entry.outermost = entry.layers[entry.layers.length - 1];
+        }
+        
+        return { garments, zones };
     }
 
     /**
      * Update worn state
+     * @param {string|Object} garmentId - Garment ID, or { outfit: name } to wear or remove a saved outfit
+     * @param {string} userId - Wearer
+     * @param {string} action - 'wear' or 'unwear'
+     * @param {Object} options - { replace: take off worn garments that clash on a layer instead of failing }
      */
-    async updateWornState(garmentId, userId, action = 'wear') {
+    async updateWornState(garmentId, userId, action = 'wear', options = {}) {
+        if (garmentId && typeof garmentId === 'object' && garmentId.outfit) {
+            return await this.updateOutfitWornState(garmentId.outfit, userId, action, options);
+        }
+        
         if (!this.inventory.has(garmentId)) {
             throw new Error(`Garment ${garmentId} not found`);
         }
@@ -357,43 +1127,434 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         const garment = this.inventory.get(garmentId);
         
         if (action === 'wear') {
-            // Remove from current wearer if any
-            const currentWearer = this.garmentWornBy.get(garmentId);
-            if (currentWearer && currentWearer !== userId) {
-                this.removeFromWornState(garmentId);
+            // Nothing else may cover the same zone on the same layer
+            const conflicts = this.findLayerConflicts([garmentId], userId);
+            if (conflicts.length > 0 && !options.replace) {
+                throw new Error(`Layer conflict: ${this.describeConflicts(conflicts)}`);
             }
             
-            // Add to new wearer
-            this.garmentWornBy.set(garmentId, userId);
-            this.lastWornBy.set(garmentId, userId);
+            // Cursed garments stay on their wearer, whether replaced here or moved from someone else
+            conflicts.forEach(conflict => this.assertRemovable(conflict.conflictsWith));
+            if (this.garmentWornBy.get(garmentId) !== userId) {
+                this.assertRemovable(garmentId);
+            }
             
-            if (!this.wornGarments.has(userId)) {
-                this.wornGarments.set(userId, new Set());
+            for (const conflict of conflicts) {
+                this.removeFromWornState(conflict.conflictsWith);
+                this.appendProvenance('unwear', conflict.conflictsWith, { characterId: userId, details: { replacedBy: garmentId } }, options);
+                this.fireEvent('garment_unworn', { garmentId: conflict.conflictsWith, userId, garment: this.inventory.get(conflict.conflictsWith) });
             }
-            this.wornGarments.get(userId).add(garmentId);
             
-            // Update garment lastWornBy
-            await this.updateGarment(garmentId, { lastWornBy: userId });
+            await this.applyWear(garmentId, userId, options);
             
             this.fireEvent('garment_worn', { garmentId, userId, garment });
             
         } else if (action === 'unwear') {
+            this.assertRemovable(garmentId);
+            
+            if (this.garmentWornBy.has(garmentId)) {
+                this.appendProvenance('unwear', garmentId, { characterId: this.garmentWornBy.get(garmentId) }, options);
+            }
             this.removeFromWornState(garmentId);
             this.fireEvent('garment_unworn', { garmentId, userId, garment });
         }
         
         // Save worn state
         await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
+    }
+
+    /**
+     * Validate a garment condition and fill in defaults
+     * @param {Object} condition - { integrity, cleanliness, tags, enchanted, cursed }
+     * @returns {Object} Normalized condition
+     */
+    validateCondition(condition = {}) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            throw new Error('Condition must be an object');
+        }
+        
+        const defaults = this.validationRules.conditionDefaults;
+        const unknown = Object.keys(condition).filter(field => !Object.prototype.hasOwnProperty.call(defaults, field));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown condition field: ${unknown.join(', ')}. Must be one of: ${Object.keys(defaults).join(', ')}`);
+        }
+        
+        if (condition.tags !== undefined && !Array.isArray(condition.tags)) {
+            throw new Error('Condition tags must be an array');
+        }
+        
+        const normalized = { ...defaults, ...condition, tags: [...(condition.tags || defaults.tags)] };
+        
+        for (const field of ['integrity', 'cleanliness']) {
+            const value = normalized[field];
+            if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 100) {
+                throw new Error(`Invalid condition ${field}: ${value}. Must be a number from 0 to 100`);
+            }
+        }
+        
+        for (const field of ['enchanted', 'cursed']) {
+            if (typeof normalized[field] !== 'boolean') {
+                throw new Error(`Invalid condition ${field}: ${normalized[field]}. Must be true or false`);
+            }
+        }
+        
+        const { maxConditionTags, maxConditionTagLength } = this.validationRules;
+        for (const tag of normalized.tags) {
+            if (typeof tag !== 'string' || tag.trim().length === 0 || tag.length > maxConditionTagLength) {
+                throw new Error(`Invalid condition tag: ${tag}. Tags must be non-empty strings of at most ${maxConditionTagLength} chars`);
+            }
+        }
+        normalized.tags = [...new Set(normalized.tags.map(tag => tag.trim().toLowerCase()))];
+        
+        if (normalized.tags.length > maxConditionTags) {
+            throw new Error(`Too many condition tags: ${normalized.tags.length}. Max: ${maxConditionTags}`);
+        }
+        
+        return normalized;
+    }
+
+    /**
+     * Change a garment's condition
+     * @param {string} garmentId - Garment ID
+     * @param {Object} changes - Any of:
+     *   integrity, cleanliness - new value (0-100)
+     *   adjust - { integrity, cleanliness } amounts to add, clamped to 0-100
+     *   addTags, removeTags - tag arrays
+     *   enchanted, cursed - flags
+     *   reset - start from the default condition
+     * @param {Object} context - { chatId, messageId } for the provenance ledger
+     * @returns {Promise<Object>} The new condition
+     */
+    async applyCondition(garmentId, changes = {}, context = {}) {
+        if (!this.inventory.has(garmentId)) {
+            throw new Error(`Garment ${garmentId} not found`);
+        }
+        
+        const unknown = Object.keys(changes).filter(key => !this.conditionChangeKeys.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown condition change: ${unknown.join(', ')}. Must be one of: ${this.conditionChangeKeys.join(', ')}`);
+        }
+        
+        const garment = this.inventory.get(garmentId);
+        const before = garment.condition;
+        const condition = changes.reset
+            ? { ...this.validationRules.conditionDefaults, tags: [] }
+            : { ...before, tags: [...before.tags] };
+        
+        for (const field of ['integrity', 'cleanliness', 'enchanted', 'cursed']) {
+            if (changes[field] !== undefined) condition[field] = changes[field];
+        }
+        
+        for (const [field, amount] of Object.entries(changes.adjust || {})) {
+            if (!['integrity', 'cleanliness'].includes(field) || typeof amount !== 'number') {
+                throw new Error(`Invalid condition adjustment: ${field}`);
+            }
+            condition[field] = Math.min(100, Math.max(0, condition[field] + amount));
+        }
+        
+        for (const key of ['addTags', 'removeTags']) {
+            if (changes[key] !== undefined && !Array.isArray(changes[key])) {
+                throw new Error(`Condition ${key} must be an array`);
+            }
+        }
+        
+        const removeTags = (changes.removeTags || []).map(tag => String(tag).trim().toLowerCase());
+        condition.tags = [...condition.tags, ...(changes.addTags || [])]
+            .filter(tag => !removeTags.includes(String(tag).trim().toLowerCase()));
+        
+        const after = this.validateCondition(condition);
+        await this.writeGarmentUpdate(garmentId, { condition: after });
+        
+        this.appendProvenance('condition', garmentId, {
+            characterId: this.garmentWornBy.get(garmentId) || garment.owner,
+            details: { before, after }
+        }, context);
+        await this.saveProvenanceToStorage();
+        
+        this.fireEvent('garment_condition_changed', { garmentId, before, after, changes });
+        this.trackEvent('condition', garmentId, garment.owner, { changes });
+        
+        return after;
+    }
+
+    /**
+     * Reset a garment to the default condition, lifting any curse
+     */
+    async clearCondition(garmentId, context = {}) {
+        return await this.applyCondition(garmentId, { reset: true }, context);
+    }
+
+    /**
+     * Throw if a garment's condition keeps it on its current wearer
+     */
+    assertRemovable(garmentId) {
+        const garment = this.inventory.get(garmentId);
+        const wearer = this.garmentWornBy.get(garmentId);
+        
+        if (garment && wearer && garment.condition && garment.condition.cursed) {
+            throw new Error(`Garment ${garmentId} is cursed and cannot be removed from ${wearer} until its condition is cleared`);
+        }
+    }
+
+    /**
+     * Get a garment's layer
+     */
+    getGarmentLayer(garment) {
+        return garment.layer || this.validationRules.defaultLayer;
+    }
+
+    /**
+     * Find worn garments that would clash with wearing a set of garments.
+     * Two garments clash when they cover the same zone on the same layer,
+     * unless the layer is stackable (accessories by default).
+     * @param {Array} garmentIds - Garments about to be worn
+     * @param {string} userId - Wearer
+     * @param {Object} [pending] - Garment data to check instead of the stored data, keyed by garment ID
+     * @returns {Array} Conflicts as { zone, layer, garmentId, conflictsWith }
+     */
+    findLayerConflicts(garmentIds, userId, pending = {}) {
+        const conflicts = [];
+        const incoming = new Set(garmentIds);
+        const occupied = new Map(); // zone:layer -> garmentId
+        
+        const claim = (garmentId, garment) => {
+            const layer = this.getGarmentLayer(garment);
+            if (this.validationRules.stackableLayers.includes(layer)) return;
+            
+            for (const zone of garment.zones) {
+                const key = `${zone}:${layer}`;
+                if (occupied.has(key)) {
+                    conflicts.push({ zone, layer, garmentId, conflictsWith: occupied.get(key) });
+                } else {
+                    occupied.set(key, garmentId);
+                }
+            }
+        };
+        
+        // What the wearer keeps on first, then what they put on
+        for (const garmentId of this.wornGarments.get(userId) || []) {
+            if (!incoming.has(garmentId) && this.inventory.has(garmentId)) {
+                claim(garmentId, this.inventory.get(garmentId));
+            }
+        }
+        
+        for (const garmentId of incoming) {
+            claim(garmentId, pending[garmentId] || this.inventory.get(garmentId));
+        }
+        
+        return conflicts;
+    }
+
+    /**
+     * Wear a garment without saving; moves it off any other wearer
+     * @param {Object} context - { chatId, messageId } for the provenance ledger
+     */
+    async applyWear(garmentId, userId, context = {}) {
+        const currentWearer = this.garmentWornBy.get(garmentId);
+        if (currentWearer && currentWearer !== userId) {
+            this.removeFromWornState(garmentId);
+            this.appendProvenance('unwear', garmentId, { characterId: currentWearer }, context);
+        }
+        
+        if (currentWearer !== userId) {
+            this.appendProvenance('wear', garmentId, { characterId: userId }, context);
+        }
+        
+        this.garmentWornBy.set(garmentId, userId);
+        this.lastWornBy.set(garmentId, userId);
+        
+        if (!this.wornGarments.has(userId)) {
+            this.wornGarments.set(userId, new Set());
+        }
+        this.wornGarments.get(userId).add(garmentId);
+        
+        // Update garment lastWornBy
+        await this.updateGarment(garmentId, { lastWornBy: userId, lastWornAt: new Date().toISOString() });
+    }
+
+    /**
+     * Wear or remove a saved outfit in one step. Nothing changes unless every
+     * garment in the outfit can be worn.
+     */
+    async updateOutfitWornState(outfitName, userId, action, options) {
+        const outfit = this.requireOutfit(outfitName);
+        
+        if (action === 'wear') {
+            const conflicts = this.findLayerConflicts(outfit.garmentIds, userId);
+            
+            // Garments re-layered since the outfit was saved can clash with each other
+            const internal = conflicts.filter(conflict => outfit.garmentIds.includes(conflict.conflictsWith));
+            if (internal.length > 0) {
+                throw new Error(`Outfit ${outfit.name} has layer conflicts: ${this.describeConflicts(internal)}`);
+            }
+            
+            if (conflicts.length > 0 && !options.replace) {
+                throw new Error(`Outfit ${outfit.name} conflicts with worn garments: ${this.describeConflicts(conflicts)}`);
+            }
+            
+            const replaced = [...new Set(conflicts.map(conflict => conflict.conflictsWith))];
+            replaced.forEach(garmentId => this.assertRemovable(garmentId));
+            outfit.garmentIds
+                .filter(garmentId => this.garmentWornBy.get(garmentId) !== userId)
+                .forEach(garmentId => this.assertRemovable(garmentId));
+            
+            for (const garmentId of replaced) {
+                this.removeFromWornState(garmentId);
+                this.appendProvenance('unwear', garmentId, { characterId: userId, details: { replacedBy: outfit.name } }, options);
+                this.fireEvent('garment_unworn', { garmentId, userId, garment: this.inventory.get(garmentId) });
+            }
+            
+            for (const garmentId of outfit.garmentIds) {
+                await this.applyWear(garmentId, userId, options);
+                this.fireEvent('garment_worn', { garmentId, userId, garment: this.inventory.get(garmentId) });
+            }
+            
+            this.fireEvent('outfit_worn', { outfit: outfit.name, userId, garmentIds: [...outfit.garmentIds], replaced });
+            this.trackEvent('wear_outfit', null, userId, { outfit: outfit.name });
+            
+        } else if (action === 'unwear') {
+            const removed = outfit.garmentIds.filter(garmentId => this.garmentWornBy.get(garmentId) === userId);
+            removed.forEach(garmentId => this.assertRemovable(garmentId));
+            
+            for (const garmentId of removed) {
+                this.removeFromWornState(garmentId);
+                this.appendProvenance('unwear', garmentId, { characterId: userId, details: { outfit: outfit.name } }, options);
+                this.fireEvent('garment_unworn', { garmentId, userId, garment: this.inventory.get(garmentId) });
+            }
+            
+            this.fireEvent('outfit_removed', { outfit: outfit.name, userId, garmentIds: removed });
+            this.trackEvent('remove_outfit', null, userId, { outfit: outfit.name });
+        }
+        
+        await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
+    }
+
+    describeConflicts(conflicts) {
+        return conflicts
+            .map(conflict => `${conflict.garmentId} and ${conflict.conflictsWith} both cover ${conflict.zone} (${conflict.layer})`)
+            .join('; ');
+    }
+
+    /**
+     * Save a named outfit
+     * @param {string} name - Outfit name
+     * @param {Array} garmentIds - Garments in the outfit
+     * @param {Object} options - { description, overwrite }
+     */
+    async saveOutfit(name, garmentIds, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Outfit name must be a non-empty string');
+        }
+        
+        if (this.outfits.has(name) && !options.overwrite) {
+            throw new Error(`Outfit ${name} already exists`);
+        }
+        
+        const outfit = this.validateOutfitData({
+            name,
+            description: options.description || '',
+            garmentIds,
+            createdAt: this.outfits.has(name) ? this.outfits.get(name).createdAt : undefined
+        });
+        
+        this.outfits.set(name, outfit);
+        await this.saveInventoryToStorage();
+        
+        this.fireEvent('outfit_saved', { outfit });
+        
+        return outfit;
+    }
+
+    /**
+     * Validate outfit data; garments must exist and fit together
+     */
+    validateOutfitData(outfitData) {
+        if (!Array.isArray(outfitData.garmentIds) || outfitData.garmentIds.length === 0) {
+            throw new Error(`Outfit ${outfitData.name} must contain at least one garment`);
+        }
+        
+        const garmentIds = [...new Set(outfitData.garmentIds)];
+        for (const garmentId of garmentIds) {
+            if (!this.inventory.has(garmentId)) {
+                throw new Error(`Garment ${garmentId} not found`);
+            }
+        }
+        
+        // Only the outfit's own garments count here, so check against an empty wearer
+        const conflicts = this.findLayerConflicts(garmentIds, null);
+        if (conflicts.length > 0) {
+            throw new Error(`Outfit ${outfitData.name} has layer conflicts: ${this.describeConflicts(conflicts)}`);
+        }
+        
+        const now = new Date().toISOString();
+        return {
+            name: outfitData.name,
+            description: outfitData.description || '',
+            garmentIds,
+            createdAt: outfitData.createdAt || now,
+            lastModified: now
+        };
+    }
+
+    getOutfit(name) {
+        return this.outfits.get(name) || null;
+    }
+
+    requireOutfit(name) {
+        const outfit = this.outfits.get(name);
+        if (!outfit) {
+            throw new Error(`Outfit ${name} not found`);
+        }
+        return outfit;
+    }
+
+    listOutfits() {
+        return Array.from(this.outfits.values());
+    }
+
+    /**
+     * Delete a saved outfit; its garments are untouched
+     */
+    async deleteOutfit(name) {
+        this.requireOutfit(name);
+        this.outfits.delete(name);
+        
+        await this.saveInventoryToStorage();
+        this.fireEvent('outfit_deleted', { name });
+        
+        return true;
+    }
+
+    /**
+     * Drop a deleted garment from every outfit, removing outfits left empty
+     */
+    removeGarmentFromOutfits(garmentId) {
+        for (const [name, outfit] of this.outfits.entries()) {
+            if (!outfit.garmentIds.includes(garmentId)) continue;
+            
+            outfit.garmentIds = outfit.garmentIds.filter(id => id !== garmentId);
+            if (outfit.garmentIds.length === 0) {
+                this.outfits.delete(name);
+            }
+        }
     }
 
     /**
      * Transfer ownership
+     * @param {Object} context - { chatId, messageId } for the provenance ledger;
+     *   stCharacterIds: true maps a SillyTavern character ID for the new owner
      */
-    async transferOwnership(garmentId, newOwnerId) {
+    async transferOwnership(garmentId, newOwnerId, context = {}) {
         if (!this.inventory.has(garmentId)) {
             throw new Error(`Garment ${garmentId} not found`);
         }
         
+        if (context.stCharacterIds && newOwnerId && typeof newOwnerId === 'string') {
+            newOwnerId = await this.resolveCharacterId(newOwnerId);
+        }
+        
         if (!this.validationRules.characterIdPattern.test(newOwnerId)) {
             throw new Error(`Invalid new owner ID: ${newOwnerId}`);
         }
@@ -407,6 +1568,9 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
             lastHolder: oldOwnerId
         });
         
+        this.appendProvenance('transfer', garmentId, { characterId: newOwnerId, from: oldOwnerId, to: newOwnerId }, context);
+        await this.saveProvenanceToStorage();
+        
         this.fireEvent('ownership_transferred', { 
             garmentId, 
             oldOwnerId, 
@@ -420,6 +1584,164 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         return true;
     }
 
+    /**
+     * Load the provenance ledger from storage
+     */
+    async loadProvenanceFromStorage() {
+        const storageData = await this.dependencies.storage.loadFromStorage('provenance', { ledger: {} });
+        
+        for (const [garmentId, entries] of Object.entries(storageData.ledger || {})) {
+            this.provenance.set(garmentId, entries.map(entry => this.freezeProvenanceEntry(entry)));
+        }
+    }
+
+    /**
+     * Save the provenance ledger to storage
+     */
+    async saveProvenanceToStorage() {
+        return await this.dependencies.storage.saveToStorage('provenance', {
+            ledger: Object.fromEntries(this.provenance)
+        });
+    }
+
+    freezeProvenanceEntry(entry) {
+        return Object.freeze({ ...entry, details: Object.freeze({ ...(entry.details || {}) }) });
+    }
+
+    /**
+     * Append an entry to a garment's provenance ledger. Entries are never
+     * changed or removed; callers save the ledger once their operation is done.
+     * @param {string} action - create, transfer, wear, unwear, swap, condition, delete or rekey
+     * @param {string} garmentId - Garment ID
+     * @param {Object} fields - { characterId, from, to, details }
+     * @param {Object} context - { chatId, messageId } of the chat message behind the change
+     * @returns {Object|null} The entry, or null if history tracking is off
+     */
+    appendProvenance(action, garmentId, fields = {}, context = {}) {
+        // Read directly: getConfig falls back to the default for false
+        if (this.config && this.config.get('garment.trackHistory') === false) {
+            return null;
+        }
+        
+        if (!this.provenance.has(garmentId)) {
+            this.provenance.set(garmentId, []);
+        }
+        const ledger = this.provenance.get(garmentId);
+        
+        const entry = this.freezeProvenanceEntry({
+            garmentId,
+            sequence: ledger.length + 1,
+            action,
+            characterId: fields.characterId || null,
+            from: fields.from || null,
+            to: fields.to || null,
+            timestamp: new Date().toISOString(),
+            chatId: context.chatId !== undefined ? context.chatId : this.getCurrentChatId(),
+            messageId: context.messageId !== undefined ? context.messageId : null,
+            details: fields.details
+        });
+        
+        ledger.push(entry);
+        return entry;
+    }
+
+    getCurrentChatId() {
+        if (typeof window !== 'undefined' && typeof window.getCurrentChatId === 'function') {
+            return window.getCurrentChatId() || null;
+        }
+        return null;
+    }
+
+    /**
+     * Record a swap that moved a garment between characters
+     * @param {string} garmentId - Garment ID
+     * @param {Object} swap - { from, to, swapId, zones }
+     * @param {Object} context - { chatId, messageId }
+     */
+    async recordSwap(garmentId, swap, context = {}) {
+        if (!this.inventory.has(garmentId)) {
+            throw new Error(`Garment ${garmentId} not found`);
+        }
+        
+        const entry = this.appendProvenance('swap', garmentId, {
+            characterId: swap.to,
+            from: swap.from,
+            to: swap.to,
+            details: { swapId: swap.swapId || null, zones: swap.zones || [] }
+        }, context);
+        
+        await this.saveProvenanceToStorage();
+        this.trackEvent('swap', garmentId, swap.to, { from: swap.from, swapId: swap.swapId });
+        
+        return entry;
+    }
+
+    /**
+     * Get a garment's full provenance, oldest first. Kept after the garment is deleted.
+     */
+    getProvenance(garmentId) {
+        return [...(this.provenance.get(garmentId) || [])];
+    }
+
+    /**
+     * Query the provenance ledger
+     * @param {Object} filter - { garmentId, characterId, action (string or array), chatId, since, until, order: 'asc' | 'desc', limit }
+     *   characterId matches the acting character and both sides of transfers and swaps
+     * @returns {Array} Matching entries, oldest first unless order is 'desc'
+     */
+    queryProvenance(filter = {}) {
+        const ledgers = filter.garmentId !== undefined
+            ? [this.provenance.get(filter.garmentId) || []]
+            : Array.from(this.provenance.values());
+        
+        const actions = filter.action !== undefined ? [].concat(filter.action) : null;
+        const since = filter.since !== undefined ? new Date(filter.since).getTime() : -Infinity;
+        const until = filter.until !== undefined ? new Date(filter.until).getTime() : Infinity;
+        
+        const entries = ledgers.flat().filter(entry => {
+            if (filter.characterId !== undefined &&
+                ![entry.characterId, entry.from, entry.to].includes(filter.characterId)) return false;
+            if (actions && !actions.includes(entry.action)) return false;
+            if (filter.chatId !== undefined && entry.chatId !== filter.chatId) return false;
+            
+            const time = new Date(entry.timestamp).getTime();
+            return time >= since && time <= until;
+        });
+        
+        entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.sequence - b.sequence);
+        if (filter.order === 'desc') {
+            entries.reverse();
+        }
+        
+        return filter.limit !== undefined ? entries.slice(0, filter.limit) : entries;
+    }
+
+    /**
+     * Carry the ledger over to re-keyed garment and character IDs, noting each
+     * garment's previous ID in its own ledger
+     */
+    rekeyProvenance(characterIds, garmentIds) {
+        const mapCharacter = id => characterIds[id] || this.characterIdMap.get(id) || id;
+        const rekeyed = new Map();
+        
+        for (const [garmentId, entries] of this.provenance.entries()) {
+            const newId = garmentIds[garmentId] || garmentId;
+            rekeyed.set(newId, entries.map(entry => this.freezeProvenanceEntry({
+                ...entry,
+                garmentId: newId,
+                characterId: entry.characterId && mapCharacter(entry.characterId),
+                from: entry.from && mapCharacter(entry.from),
+                to: entry.to && mapCharacter(entry.to)
+            })));
+        }
+        
+        this.provenance = rekeyed;
+        
+        for (const [previousId, garmentId] of Object.entries(garmentIds)) {
+            this.appendProvenance('rekey', garmentId, { details: { previousId } });
+        }
+    }
+
     /**
      * Prepare garment for swap (returns swap data)
      */
@@ -479,9 +1801,12 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
      */
     exportInventory() {
         return {
-            version: '1.0.0',
+            version: '1.3.0',
             timestamp: new Date().toISOString(),
             inventory: Object.fromEntries(this.inventory),
+            outfits: Object.fromEntries(this.outfits),
+            characterIds: Object.fromEntries(this.characterIdMap),
+            idSequences: Object.fromEntries(this.garmentIdSequences),
             wornState: {
                 garmentWornBy: Object.fromEntries(this.garmentWornBy),
                 lastWornBy: Object.fromEntries(this.lastWornBy),
@@ -492,6 +1817,7 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
                     ])
                 )
             },
+            provenance: Object.fromEntries(this.provenance),
             eventHistory: this.eventHistory.slice(-50) // Last 50 events
         };
     }
@@ -506,10 +1832,29 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         
         if (!merge) {
             this.inventory.clear();
+            this.outfits.clear();
             this.clearIndexes();
             this.clearWornState();
+            this.characterIdMap.clear();
+            this.garmentIdSequences.clear();
+            this.provenance.clear();
+        }
+        
+        // Import provenance (1.3.0+); a merge keeps the local ledger for garments it already has
+        for (const [garmentId, entries] of Object.entries(data.provenance || {})) {
+            if (!this.provenance.has(garmentId)) {
+                this.provenance.set(garmentId, entries.map(entry => this.freezeProvenanceEntry(entry)));
+            }
         }
         
+        // Import ID mappings and sequences (1.2.0+); existing mappings win on merge
+        this.loadIdMappings({
+            characterIds: Object.fromEntries(
+                Object.entries(data.characterIds || {}).filter(([stCharacterId]) => !this.characterIdMap.has(stCharacterId))
+            ),
+            idSequences: data.idSequences
+        });
+        
         // Import garments
         for (const [garmentId, garmentData] of Object.entries(data.inventory)) {
             try {
@@ -538,8 +1883,18 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
             }
         }
         
+        // Import outfits (1.1.0+)
+        for (const [name, outfitData] of Object.entries(data.outfits || {})) {
+            try {
+                this.outfits.set(name, this.validateOutfitData({ ...outfitData, name }));
+            } catch (error) {
+                console.warn(`Failed to import outfit ${name}:`, error.message);
+            }
+        }
+        
         // Save to storage
         await this.saveInventoryToStorage();
+        await this.saveProvenanceToStorage();
         
         this.fireEvent('inventory_imported', { 
             garmentCount: this.inventory.size,
@@ -665,8 +2020,12 @@ class ThreadshiftGarmentInventory extends ThreadshiftModule {
         // Listen for storage events
         this.addEventListener('storage_cleared', () => {
             this.inventory.clear();
+            this.outfits.clear();
             this.clearIndexes();
             this.clearWornState();
+            this.characterIdMap.clear();
+            this.garmentIdSequences.clear();
+            this.provenance.clear();
             this.cache.clear();
         });
     }
@@ -10,11 +10,24 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         super('HistoryTracker');
         this.dependencies = ['storage', 'config'];
         
-        // Core state
+        // Core state - history is the path from the root to the current branch head
         this.history = [];
         this.currentIndex = -1;
+        
+        // Branching - every entry ever recorded, linked through parentId
+        this.entries = new Map();          // entryId -> entry
+        this.branches = new Map();         // branchId -> { id, name, headId, forkedFrom, createdAt }
+        this.currentBranchId = null;
+        this.historyVersion = '2.0.0';
         this.maxHistorySize = 50;
         this.isRecording = true;
+        this.isReplaying = false;
+        
+        // Injected swap engine whose transformation events are recorded
+        this.swapEngine = null;
+        // Injected snapshot manager that undoes snapshot restores
+        this.snapshotManager = null;
+        this.transformationHandlers = {};
         
         // Performance tracking
         this.stats = {
@@ -40,7 +53,7 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         this.validationRules = {
             requiredFields: ['id', 'type', 'timestamp', 'data'],
             maxDescriptionLength: 500,
-            maxDataSize: 10000, // characters
+            maxDataSize: 50000, // characters - swap entries carry zone data for undo and redo
             validTypes: Object.values(this.entryTypes)
         };
         
@@ -102,10 +115,13 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         try {
             const storedHistory = await this.storage.loadFromStorage(this.storageKey, []);
             
-            if (Array.isArray(storedHistory) && storedHistory.length > 0) {
-                this.history = storedHistory;
-                this.currentIndex = this.history.length - 1;
-                this.stats.totalEntries = this.history.length;
+            // 1.0.0 stored a plain array; 2.0.0 stores the whole tree
+            const loaded = Array.isArray(storedHistory)
+                ? this.loadLinearHistory(storedHistory)
+                : this.loadHistoryTree(storedHistory);
+            
+            if (loaded && this.history.length > 0) {
+                this.stats.totalEntries = this.entries.size;
                 
                 // Calculate average entry size
                 this.calculateAverageEntrySize();
@@ -118,25 +134,33 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
             
         } catch (error) {
             this.handleError('loadHistoryFromStorage', error);
-            this.history = [];
-            this.currentIndex = -1;
+            this.resetTree();
         }
     }
     
     setupEventListeners() {
         // Listen for transformation events
-        this.addEventListener('swap-completed', (data) => {
-            this.recordTransformation(this.entryTypes.SWAP, data, 'Garment swap completed');
-        });
-        
-        this.addEventListener('swap-reversed', (data) => {
-            this.recordTransformation(this.entryTypes.REVERSE, data, 'Swap reversed');
-        });
+        this.transformationHandlers = {
+            'swap-completed': (data) => {
+                this.recordTransformation(this.entryTypes.SWAP, data, 'Garment swap completed');
+            },
+            'swap-reversed': (data) => {
+                this.recordTransformation(this.entryTypes.REVERSE, data, 'Swap reversed');
+            },
+            // Listen for batch operations
+            'batch-operation': (data) => {
+                this.recordTransformation(this.entryTypes.BATCH, data, 'Batch operation completed');
+            }
+        };
         
-        // Listen for batch operations
-        this.addEventListener('batch-operation', (data) => {
-            this.recordTransformation(this.entryTypes.BATCH, data, 'Batch operation completed');
-        });
+        for (const [eventName, handler] of Object.entries(this.transformationHandlers)) {
+            this.addEventListener(eventName, handler);
+            
+            // The engine fires these on itself, so record them from there too
+            if (this.swapEngine) {
+                this.swapEngine.addEventListener(eventName, handler);
+            }
+        }
         
         // Listen for configuration changes
         this.addEventListener('config-changed', (data) => {
@@ -150,12 +174,11 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
     async validateLoadedHistory() {
         const invalidEntries = [];
         
-        for (let i = 0; i < this.history.length; i++) {
-            const entry = this.history[i];
+        for (const entry of this.entries.values()) {
             const validation = this.validateHistoryEntry(entry);
             
             if (!validation.valid) {
-                invalidEntries.push({ index: i, entry, errors: validation.errors });
+                invalidEntries.push({ entry, errors: validation.errors });
             }
         }
         
@@ -163,12 +186,14 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
             this.handleError('validateLoadedHistory', 
                 new Error(`Found ${invalidEntries.length} invalid history entries`));
             
-            // Remove invalid entries
-            this.history = this.history.filter((_, index) => 
-                !invalidEntries.some(invalid => invalid.index === index));
+            // Remove invalid entries, re-attaching their children so branches stay connected
+            const currentEntryId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+            for (const invalid of invalidEntries) {
+                this.removeEntry(invalid.entry.id);
+            }
             
             // Rebuild index
-            this.currentIndex = this.history.length - 1;
+            this.rebuildCurrentPath(currentEntryId);
             
             // Save cleaned history
             await this.saveToStorage();
@@ -196,7 +221,7 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
      * @returns {string} Entry ID
      */
     recordTransformation(type, data, description, options = {}) {
-        if (!this.isRecording) {
+        if (!this.isRecording || this.isReplaying) {
             return null;
         }
         
@@ -245,7 +270,8 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         if (options.characterId) {
             filteredHistory = filteredHistory.filter(entry => 
                 entry.data.sourceCharId === options.characterId || 
-                entry.data.targetCharId === options.characterId);
+                entry.data.targetCharId === options.characterId ||
+                (Array.isArray(entry.data.characters) && entry.data.characters.includes(options.characterId)));
         }
         
         if (options.since) {
@@ -362,6 +388,115 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         }
     }
     
+    /**
+     * List every history branch
+     * @returns {Array} Branches with their length and whether they are current
+     */
+    listBranches() {
+        return Array.from(this.branches.values()).map(branch => ({
+            ...branch,
+            length: this.getBranchPath(branch.id).length,
+            current: branch.id === this.currentBranchId
+        }));
+    }
+    
+    /**
+     * Get the branch new entries are recorded on
+     * @returns {Object|null} Current branch
+     */
+    getCurrentBranch() {
+        return this.currentBranchId ? { ...this.branches.get(this.currentBranchId) } : null;
+    }
+    
+    /**
+     * Rename a branch
+     * @param {string} branchIdOrName - Branch ID or current name
+     * @param {string} name - New name
+     * @returns {Object} Renamed branch
+     */
+    renameBranch(branchIdOrName, name) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Branch name must be a non-empty string');
+        }
+        
+        const branch = this.requireBranch(branchIdOrName);
+        if (Array.from(this.branches.values()).some(other => other.id !== branch.id && other.name === name)) {
+            throw new Error(`A branch named ${name} already exists`);
+        }
+        
+        branch.name = name;
+        this.isDirty = true;
+        this.fireEvent('history-branch-renamed', { branchId: branch.id, name });
+        
+        return { ...branch };
+    }
+    
+    /**
+     * Switch to another branch by undoing back to the point where the two
+     * branches meet and redoing the other branch up to its head.
+     * If a step fails the tracker stays wherever the body maps actually are.
+     * @param {string} branchIdOrName - Branch ID or name
+     * @returns {Promise<Object>} Switch result
+     */
+    async switchBranch(branchIdOrName) {
+        try {
+            const branch = this.requireBranch(branchIdOrName);
+            if (branch.id === this.currentBranchId && this.currentIndex === this.history.length - 1) {
+                return { success: true, branchId: branch.id, undone: 0, redone: 0 };
+            }
+            
+            const targetPath = this.getBranchPath(branch.id);
+            const targetIds = new Set(targetPath.map(entry => entry.id));
+            
+            // Undo back to the last applied entry the two paths share
+            let undone = 0;
+            while (this.currentIndex >= 0 && !targetIds.has(this.history[this.currentIndex].id)) {
+                const result = await this.undo();
+                if (!result.success) {
+                    return { success: false, branchId: this.currentBranchId, undone, redone: 0, error: `Switch stopped while undoing: ${result.error}` };
+                }
+                undone++;
+            }
+            
+            // Continue along the target branch from there
+            const forkId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+            this.history = targetPath;
+            this.currentIndex = forkId ? targetPath.findIndex(entry => entry.id === forkId) : -1;
+            this.currentBranchId = branch.id;
+            this.isDirty = true;
+            
+            let redone = 0;
+            while (this.canRedo()) {
+                const result = await this.redo();
+                if (!result.success) {
+                    return { success: false, branchId: branch.id, undone, redone, error: `Switch stopped while redoing: ${result.error}` };
+                }
+                redone++;
+            }
+            
+            this.fireEvent('history-branch-switched', { branchId: branch.id, name: branch.name, undone, redone });
+            
+            return { success: true, branchId: branch.id, name: branch.name, undone, redone };
+            
+        } catch (error) {
+            this.handleError('switchBranch', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Get the whole history tree
+     * @returns {Object} Entries, branches and the current position
+     */
+    getHistoryTree() {
+        return {
+            entries: Array.from(this.entries.values()),
+            branches: Array.from(this.branches.values()),
+            currentBranchId: this.currentBranchId,
+            currentEntryId: this.currentIndex >= 0 ? this.history[this.currentIndex].id : null
+        };
+    }
+    
     /**
      * Clear all history
      * @param {boolean} confirm - Confirmation flag
@@ -373,10 +508,9 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         }
         
         try {
-            const clearedCount = this.history.length;
+            const clearedCount = this.entries.size;
             
-            this.history = [];
-            this.currentIndex = -1;
+            this.resetTree();
             this.stats.totalEntries = 0;
             
             await this.saveToStorage();
@@ -392,16 +526,18 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
     }
     
     /**
-     * Export history to JSON
+     * Export history to JSON.
+     * history is the (filtered) current path; tree holds every branch.
      * @param {Object} options - Export options
      * @returns {Object} Export data
      */
     exportHistory(options = {}) {
         const exportData = {
             history: this.getHistory(options),
+            tree: this.cloneData(this.getHistoryTree()),
             stats: { ...this.stats },
             exportedAt: new Date().toISOString(),
-            version: '1.0.0'
+            version: this.historyVersion
         };
         
         if (options.includeConfig) {
@@ -416,7 +552,10 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
     }
     
     /**
-     * Import history from JSON
+     * Import history from JSON.
+     * A 2.0.0 export restores its whole tree; a 1.0.0 export is a single path.
+     * When merging, imported entries and branches are added next to the
+     * existing ones and the current branch stays the same.
      * @param {Object} importData - Import data
      * @param {Object} options - Import options
      * @returns {Promise<Object>} Import result
@@ -428,7 +567,7 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
                 return { success: false, errors: validation.errors };
             }
             
-            const importedHistory = importData.history || [];
+            const importedHistory = importData.tree ? importData.tree.entries : importData.history;
             let validEntries = 0;
             let invalidEntries = 0;
             
@@ -442,25 +581,31 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
                 }
             }
             
+            const validHistory = this.cloneData(importedHistory.filter(entry => 
+                this.validateHistoryEntry(entry).valid));
+            
             // Handle import strategy
             if (options.merge) {
                 // Merge with existing history
-                const mergedHistory = [...this.history, ...importedHistory.filter(entry => 
-                    this.validateHistoryEntry(entry).valid)];
-                
-                // Sort by timestamp
-                mergedHistory.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-                
-                this.history = mergedHistory;
+                this.mergeImportedHistory(validHistory, importData.tree);
+            } else if (importData.tree) {
+                // Replace existing history, dropping invalid entries without breaking their branches
+                this.loadHistoryTree(this.cloneData(importData.tree));
+                const currentEntryId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+                const validIds = new Set(validHistory.map(entry => entry.id));
+                for (const entry of importedHistory) {
+                    if (!validIds.has(entry.id)) {
+                        this.removeEntry(entry.id);
+                    }
+                }
+                this.rebuildCurrentPath(currentEntryId);
             } else {
                 // Replace existing history
-                this.history = importedHistory.filter(entry => 
-                    this.validateHistoryEntry(entry).valid);
+                this.loadLinearHistory(validHistory);
             }
             
             // Update state
-            this.currentIndex = this.history.length - 1;
-            this.stats.totalEntries = this.history.length;
+            this.stats.totalEntries = this.entries.size;
             this.enforceHistoryLimit();
             
             // Save imported history
@@ -469,14 +614,16 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
             this.fireEvent('history-imported', { 
                 validEntries, 
                 invalidEntries, 
-                totalEntries: this.history.length 
+                totalEntries: this.entries.size,
+                branches: this.branches.size
             });
             
             return {
                 success: true,
                 validEntries,
                 invalidEntries,
-                totalEntries: this.history.length
+                totalEntries: this.entries.size,
+                branches: this.branches.size
             };
             
         } catch (error) {
@@ -493,6 +640,9 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         return {
             ...this.stats,
             currentEntries: this.history.length,
+            treeEntries: this.entries.size,
+            branches: this.branches.size,
+            currentBranchId: this.currentBranchId,
             maxHistorySize: this.maxHistorySize,
             canUndo: this.canUndo(),
             canRedo: this.canRedo(),
@@ -573,11 +723,15 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
             return { valid: false, errors };
         }
         
-        if (!Array.isArray(importData.history)) {
+        if (importData.tree) {
+            if (!Array.isArray(importData.tree.entries) || !Array.isArray(importData.tree.branches)) {
+                errors.push('Import tree must contain entries and branches arrays');
+            }
+        } else if (!Array.isArray(importData.history)) {
             errors.push('Import data must contain a history array');
         }
         
-        if (importData.version && importData.version !== '1.0.0') {
+        if (importData.version && !['1.0.0', this.historyVersion].includes(importData.version)) {
             errors.push(`Unsupported version: ${importData.version}`);
         }
         
@@ -588,12 +742,28 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
     }
     
     addEntryToHistory(entry) {
-        // If we're not at the end, remove entries after current position
+        if (!this.currentBranchId) {
+            this.createBranch('main', null, 'main');
+        }
+        
+        // Recording after an undo keeps the undone entries on their branch and starts a new one
         if (this.currentIndex < this.history.length - 1) {
+            const forkEntry = this.currentIndex >= 0 ? this.history[this.currentIndex] : null;
+            this.createBranch(`Branch ${this.branches.size + 1}`, forkEntry ? forkEntry.id : null);
             this.history = this.history.slice(0, this.currentIndex + 1);
+            
+            this.fireEvent('history-branch-created', {
+                branchId: this.currentBranchId,
+                forkedFrom: forkEntry ? forkEntry.id : null
+            });
         }
         
         // Add new entry
+        entry.parentId = this.history.length > 0 ? this.history[this.history.length - 1].id : null;
+        entry.branchId = this.currentBranchId;
+        this.entries.set(entry.id, entry);
+        this.branches.get(this.currentBranchId).headId = entry.id;
+        
         this.history.push(entry);
         this.currentIndex = this.history.length - 1;
         this.stats.totalEntries++;
@@ -605,42 +775,337 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         this.isDirty = true;
     }
     
+    createBranch(name, forkedFrom, branchId = null) {
+        const branch = {
+            id: branchId || `branch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            headId: forkedFrom,
+            forkedFrom,
+            createdAt: new Date().toISOString()
+        };
+        
+        this.branches.set(branch.id, branch);
+        this.currentBranchId = branch.id;
+        return branch;
+    }
+    
+    requireBranch(branchIdOrName) {
+        const branch = this.branches.get(branchIdOrName) ||
+            Array.from(this.branches.values()).find(candidate => candidate.name === branchIdOrName);
+        if (!branch) {
+            throw new Error(`History branch not found: ${branchIdOrName}`);
+        }
+        return branch;
+    }
+    
+    getBranchPath(branchId) {
+        const branch = this.branches.get(branchId);
+        const path = [];
+        
+        let entry = branch && branch.headId ? this.entries.get(branch.headId) : null;
+        while (entry) {
+            path.unshift(entry);
+            entry = entry.parentId ? this.entries.get(entry.parentId) : null;
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Rebuild the current path after entries were removed from the tree,
+     * keeping the position on the last entry that is still there
+     */
+    rebuildCurrentPath(currentEntryId) {
+        if (!this.branches.has(this.currentBranchId)) {
+            this.currentBranchId = this.branches.size > 0 ? Array.from(this.branches.keys()).pop() : null;
+        }
+        
+        this.history = this.currentBranchId ? this.getBranchPath(this.currentBranchId) : [];
+        const index = this.history.findIndex(entry => entry.id === currentEntryId);
+        this.currentIndex = currentEntryId === undefined ? this.history.length - 1 : index;
+    }
+    
+    /**
+     * Remove one entry from the tree; its children are re-attached to its parent
+     */
+    removeEntry(entryId) {
+        const entry = this.entries.get(entryId);
+        if (!entry) return;
+        
+        this.entries.delete(entryId);
+        
+        for (const child of this.entries.values()) {
+            if (child.parentId === entryId) {
+                child.parentId = entry.parentId || null;
+            }
+        }
+        
+        for (const branch of Array.from(this.branches.values())) {
+            if (branch.forkedFrom === entryId) {
+                branch.forkedFrom = entry.parentId || null;
+            }
+            if (branch.headId === entryId) {
+                branch.headId = entry.parentId || null;
+                
+                // A branch with nothing of its own left is dropped
+                if (!branch.headId || (branch.headId === branch.forkedFrom && branch.id !== this.currentBranchId)) {
+                    this.branches.delete(branch.id);
+                }
+            }
+        }
+    }
+    
     enforceHistoryLimit() {
-        if (this.history.length > this.maxHistorySize) {
-            const excess = this.history.length - this.maxHistorySize;
-            this.history = this.history.slice(excess);
-            this.currentIndex = Math.max(0, this.currentIndex - excess);
+        if (this.entries.size <= this.maxHistorySize) {
+            return;
+        }
+        
+        const currentEntryId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+        
+        // Oldest entries go first, on every branch; their children move up to their parent
+        const oldestFirst = Array.from(this.entries.values())
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const excess = this.entries.size - this.maxHistorySize;
+        for (const entry of oldestFirst.slice(0, excess)) {
+            this.removeEntry(entry.id);
         }
+        
+        this.rebuildCurrentPath(currentEntryId);
+    }
+    
+    loadLinearHistory(history) {
+        this.resetTree();
+        if (history.length === 0) {
+            return false;
+        }
+        
+        this.createBranch('main', null, 'main');
+        for (const entry of history) {
+            entry.parentId = this.history.length > 0 ? this.history[this.history.length - 1].id : null;
+            entry.branchId = 'main';
+            this.entries.set(entry.id, entry);
+            this.history.push(entry);
+        }
+        
+        this.branches.get('main').headId = this.history[this.history.length - 1].id;
+        this.currentIndex = this.history.length - 1;
+        return true;
+    }
+    
+    loadHistoryTree(tree) {
+        this.resetTree();
+        if (!tree || !Array.isArray(tree.entries) || !Array.isArray(tree.branches)) {
+            return false;
+        }
+        
+        for (const entry of tree.entries) {
+            this.entries.set(entry.id, entry);
+        }
+        for (const branch of tree.branches) {
+            this.branches.set(branch.id, branch);
+        }
+        
+        this.currentBranchId = tree.currentBranchId;
+        this.rebuildCurrentPath(tree.currentEntryId === null ? null : tree.currentEntryId || undefined);
+        return true;
+    }
+    
+    resetTree() {
+        this.entries.clear();
+        this.branches.clear();
+        this.currentBranchId = null;
+        this.history = [];
+        this.currentIndex = -1;
     }
     
+    mergeImportedHistory(entries, tree) {
+        const currentEntryId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+        const currentBranchId = this.currentBranchId;
+        const added = entries.filter(entry => !this.entries.has(entry.id));
+        
+        if (tree) {
+            for (const entry of added) {
+                this.entries.set(entry.id, entry);
+            }
+            
+            for (const branch of tree.branches) {
+                if (this.branches.has(branch.id) || !this.entries.has(branch.headId)) continue;
+                
+                const nameTaken = Array.from(this.branches.values()).some(existing => existing.name === branch.name);
+                this.branches.set(branch.id, {
+                    ...branch,
+                    name: nameTaken ? `${branch.name} (imported)` : branch.name
+                });
+            }
+        } else if (added.length > 0) {
+            // A single imported path becomes its own branch
+            added.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            const branch = this.createBranch(`Imported ${new Date().toISOString()}`, null);
+            
+            let parentId = null;
+            for (const entry of added) {
+                entry.parentId = parentId;
+                entry.branchId = branch.id;
+                this.entries.set(entry.id, entry);
+                parentId = entry.id;
+            }
+            branch.headId = parentId;
+        }
+        
+        this.currentBranchId = currentBranchId || this.currentBranchId;
+        this.rebuildCurrentPath(currentBranchId ? currentEntryId : undefined);
+    }
+    
+    /**
+     * Undoes an entry through the swap engine.
+     * SWAP entries reverse their swap, REVERSE entries apply the swap again,
+     * BATCH and MANUAL entries write back the 'before' side of data.delta,
+     * and snapshot restores go back to the snapshot taken just before them.
+     * @param {Object} entry - History entry
+     * @returns {Promise<Object>} Undo result
+     */
     async executeUndo(entry) {
-        // This would integrate with the transformation engine
-        // For now, return a placeholder result
-        return {
-            success: true,
-            message: `Undid ${entry.type} operation`,
-            timestamp: new Date().toISOString()
-        };
+        return await this.replayEntry(entry, 'undo');
     }
     
+    /**
+     * Redoes an entry through the swap engine - the mirror of executeUndo
+     * @param {Object} entry - History entry
+     * @returns {Promise<Object>} Redo result
+     */
     async executeRedo(entry) {
-        // This would integrate with the transformation engine
-        // For now, return a placeholder result
+        return await this.replayEntry(entry, 'redo');
+    }
+    
+    async replayEntry(entry, action) {
+        if (entry.type === this.entryTypes.SYSTEM && entry.data.action === 'snapshot-restore') {
+            return await this.replaySnapshotRestore(entry, action);
+        }
+        
+        if (!this.swapEngine) {
+            return { success: false, error: `Cannot ${action}: no swap engine attached` };
+        }
+        
+        if (entry.metadata && entry.metadata.undoable === false) {
+            return { success: false, error: `Entry ${entry.id} is not undoable` };
+        }
+        
+        const undo = action === 'undo';
+        
+        // The engine fires swap events while replaying; those must not become new entries
+        this.isReplaying = true;
+        try {
+            let result;
+            switch (entry.type) {
+                case this.entryTypes.SWAP:
+                    result = undo
+                        ? await this.revertEngineSwap(entry.data.swapId)
+                        : await this.reapplyEngineSwap(entry.data.swapId);
+                    break;
+                
+                case this.entryTypes.REVERSE:
+                    result = undo
+                        ? await this.reapplyEngineSwap(entry.data.swapId)
+                        : await this.revertEngineSwap(entry.data.swapId);
+                    break;
+                
+                case this.entryTypes.BATCH:
+                case this.entryTypes.MANUAL:
+                    if (!entry.data.delta) {
+                        return { success: false, error: `Entry ${entry.id} has no recorded delta` };
+                    }
+                    result = await this.swapEngine.replayDelta(entry.data.delta, undo ? 'before' : 'after', {
+                        swapId: entry.data.swapId
+                    });
+                    break;
+                
+                default:
+                    return { success: false, error: `Cannot ${action} ${entry.type} entries` };
+            }
+            
+            if (!result || !result.success) {
+                return {
+                    success: false,
+                    error: (result && result.error) || `Failed to ${action} ${entry.type} operation`,
+                    result
+                };
+            }
+            
+            return {
+                ...result,
+                success: true,
+                message: `${undo ? 'Undid' : 'Redid'} ${entry.type} operation`,
+                timestamp: new Date().toISOString()
+            };
+            
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+    
+    async replaySnapshotRestore(entry, action) {
+        if (!this.snapshotManager) {
+            return { success: false, error: `Cannot ${action}: no snapshot manager attached` };
+        }
+        
+        const snapshotId = action === 'undo' ? entry.data.previousSnapshotId : entry.data.snapshotId;
+        if (!snapshotId) {
+            return { success: false, error: `Entry ${entry.id} has no snapshot to ${action} to` };
+        }
+        
+        // Both snapshots already exist, so replaying takes no new snapshot and records nothing
+        const result = await this.snapshotManager.restoreSnapshot(snapshotId, { autoSnapshot: false, record: false });
+        if (!result || !result.success) {
+            return { success: false, error: (result && result.error) || `Failed to restore snapshot ${snapshotId}` };
+        }
+        
         return {
-            success: true,
-            message: `Redid ${entry.type} operation`,
+            ...result,
+            message: `${action === 'undo' ? 'Undid' : 'Redid'} snapshot restore`,
             timestamp: new Date().toISOString()
         };
     }
     
+    async revertEngineSwap(swapId) {
+        // A staged swap that has not finished is cancelled instead
+        const swapData = this.swapEngine.activeSwaps.get(swapId);
+        if (swapData && swapData.staging && swapData.status !== 'active') {
+            return await this.swapEngine.cancelSwap(swapId);
+        }
+        return await this.swapEngine.reverseSwap(swapId);
+    }
+    
+    async reapplyEngineSwap(swapId) {
+        const result = await this.swapEngine.reapplySwap(swapId);
+        
+        // Applying again creates a new swap; later undo and redo must find it
+        if (result && result.success) {
+            this.renameSwapId(swapId, result.swapId);
+        }
+        return result;
+    }
+    
+    renameSwapId(oldSwapId, newSwapId) {
+        for (const entry of this.entries.values()) {
+            if (entry.data && entry.data.swapId === oldSwapId) {
+                entry.data.swapId = newSwapId;
+            }
+        }
+        this.isDirty = true;
+    }
+    
     async saveToStorage() {
         try {
-            await this.storage.saveToStorage(this.storageKey, this.history);
+            await this.storage.saveToStorage(this.storageKey, {
+                version: this.historyVersion,
+                ...this.getHistoryTree()
+            });
             this.stats.storageOperations++;
             this.isDirty = false;
             
             this.fireEvent('history-saved', { 
-                entries: this.history.length,
+                entries: this.entries.size,
+                branches: this.branches.size,
                 timestamp: new Date().toISOString()
             });
             
@@ -668,16 +1133,15 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
     cleanupOrphanedReferences() {
         // Remove entries that reference non-existent characters/garments
         // This would integrate with character/garment management
-        const beforeCount = this.history.length;
-        
-        // Placeholder cleanup logic
-        this.history = this.history.filter(entry => {
-            return entry.data && typeof entry.data === 'object';
+        const orphaned = Array.from(this.entries.values()).filter(entry => {
+            return !entry.data || typeof entry.data !== 'object';
         });
         
-        const afterCount = this.history.length;
-        if (beforeCount !== afterCount) {
-            this.currentIndex = Math.min(this.currentIndex, afterCount - 1);
+        // Placeholder cleanup logic
+        if (orphaned.length > 0) {
+            const currentEntryId = this.currentIndex >= 0 ? this.history[this.currentIndex].id : null;
+            orphaned.forEach(entry => this.removeEntry(entry.id));
+            this.rebuildCurrentPath(currentEntryId);
         }
     }
     
@@ -727,6 +1191,12 @@ class ThreadshiftHistoryTracker extends ThreadshiftModule {
         // Cleanup
         this.performCleanup();
         
+        if (this.swapEngine) {
+            for (const [eventName, handler] of Object.entries(this.transformationHandlers)) {
+                this.swapEngine.removeEventListener(eventName, handler);
+            }
+        }
+        
         await super.shutdown();
     }
 }
@@ -50,9 +50,12 @@ window.Threadshift.debug = {
       './Threadshiftmodule.js',
       './Threadshiftconfig.js',
       './St-storage-manager.js',
+      './Reciprocalswaphandler.js',
       './Zoneswapengine.js',
+      './Swapscheduler.js',
       './Sessionmanager.js',
       './Historytracker.js',
+      './Snapshotmanager.js',
       './Garmentinventory.js',
       './Bodymapvalidator.js',
       './Multicharacterhandler.js',
@@ -111,30 +114,65 @@ window.Threadshift.debug = {
     window.Threadshift.core.inventory = inventory;
     window.Threadshift.debug.logStep('Inventory', true, 'Garment inventory ready');
 
-    // STEP 7: Zone Swap Engine
+    // STEP 7: Reciprocal Swap Handler
+    if (!window.ThreadshiftReciprocalSwapHandler) throw new Error('ThreadshiftReciprocalSwapHandler not loaded');
+    const reciprocalHandler = new ThreadshiftReciprocalSwapHandler();
+    if (reciprocalHandler.initialize) await reciprocalHandler.initialize();
+    window.Threadshift.core.reciprocalHandler = reciprocalHandler;
+    window.Threadshift.debug.logStep('ReciprocalHandler', true, 'Reciprocal swap handler ready');
+
+    // STEP 8: Zone Swap Engine
     if (!window.ThreadshiftZoneSwapEngine) throw new Error('ThreadshiftZoneSwapEngine not loaded');
     const engine = new ThreadshiftZoneSwapEngine();
     // Inject dependencies
     engine.garmentZoneMapper = inventory;
+    engine.garmentInventory = inventory;
     engine.bodyMapValidator = validator;
+    engine.reciprocalSwapHandler = reciprocalHandler;
+    engine.sessionManager = session;
     if (engine.initialize) await engine.initialize();
     window.Threadshift.core.engine = engine;
     window.Threadshift.debug.logStep('Engine', true, 'Zone swap engine ready');
 
-    // STEP 8: Multi-Character Handler
+    // STEP 9: Swap Scheduler
+    if (!window.ThreadshiftSwapScheduler) throw new Error('ThreadshiftSwapScheduler not loaded');
+    const scheduler = new ThreadshiftSwapScheduler();
+    // Inject dependencies
+    scheduler.engine = engine;
+    scheduler.session = session;
+    engine.swapScheduler = scheduler;
+    if (scheduler.initialize) await scheduler.initialize();
+    window.Threadshift.core.scheduler = scheduler;
+    window.Threadshift.debug.logStep('Scheduler', true, 'Swap scheduler ready');
+
+    // STEP 10: Multi-Character Handler
     if (!window.ThreadshiftMultiCharacterHandler) throw new Error('ThreadshiftMultiCharacterHandler not loaded');
     const mch = new ThreadshiftMultiCharacterHandler();
     if (mch.initialize) await mch.initialize();
     window.Threadshift.modules.multiCharacter = mch;
     window.Threadshift.debug.logStep('MultiChar', true, 'Multi-character handler ready');
 
-    // STEP 9: History Tracker
+    // STEP 11: History Tracker
     if (!window.ThreadshiftHistoryTracker) throw new Error('ThreadshiftHistoryTracker not loaded');
     const history = new ThreadshiftHistoryTracker();
+    // Inject dependencies
+    history.swapEngine = engine;
     if (history.initialize) await history.initialize();
     window.Threadshift.modules.history = history;
     window.Threadshift.debug.logStep('History', true, 'History tracker ready');
 
+    // STEP 12: Snapshot Manager
+    if (!window.ThreadshiftSnapshotManager) throw new Error('ThreadshiftSnapshotManager not loaded');
+    const snapshots = new ThreadshiftSnapshotManager();
+    // Inject dependencies
+    snapshots.engine = engine;
+    snapshots.inventory = inventory;
+    snapshots.history = history;
+    history.snapshotManager = snapshots;
+    if (snapshots.initialize) await snapshots.initialize();
+    window.Threadshift.modules.snapshots = snapshots;
+    window.Threadshift.debug.logStep('Snapshots', true, 'Snapshot manager ready');
+    
     // Finalize
     window.Threadshift.initialized = true;
     window.Threadshift.status = 'ready';
@@ -0,0 +1,290 @@
+/**
+ * ThreadshiftReciprocalSwapHandler
+ *
+ * Decides what each character ends up with when a zone is swapped. Provides the
+ * built-in exchange, copy, drain and blend modes and lets extensions register
+ * their own. Part of the Threadshift Core Engine plugin.
+ *
+ * @extends ThreadshiftModule
+ */
+class ThreadshiftReciprocalSwapHandler extends ThreadshiftModule {
+    constructor() {
+        super('ReciprocalSwapHandler');
+        this.dependencies = ['config'];
+        
+        // Registered modes: name -> { description, reads, resolve(sourceZone, targetZone, context) }
+        this.modes = new Map();
+        this.defaultMode = 'exchange';
+        
+        // Template a drained zone reverts to
+        this.neutralTemplate = {
+            descriptor: 'plain and unremarkable',
+            care: 'none',
+            marks: [],
+            _plugin: {}
+        };
+        
+        // Per-zone template overrides (muscle zones also need a tone)
+        this.neutralTemplates = new Map([
+            ['chest', { tone: 'average' }],
+            ['waist', { tone: 'average' }],
+            ['legs', { tone: 'average' }],
+            ['butt', { tone: 'average' }]
+        ]);
+        
+        this.stats = {
+            resolvedZones: 0,
+            resolvedByMode: {}
+        };
+        
+        this.registerBuiltInModes();
+    }
+    
+    async initialize() {
+        if (!await super.initialize()) return false;
+        
+        try {
+            this.logInfo(`Reciprocal swap handler ready with modes: ${this.getModes().join(', ')}`);
+            return true;
+            
+        } catch (error) {
+            this.handleError('initialize', error, true);
+            return false;
+        }
+    }
+    
+    registerBuiltInModes() {
+        // Both characters trade the zone
+        this.registerMode('exchange', {
+            description: 'Source and target trade zones',
+            reads: ['source', 'target'],
+            resolve: (sourceZone, targetZone) => ({
+                source: targetZone,
+                target: sourceZone
+            })
+        });
+        
+        // Target takes a copy, source keeps theirs
+        this.registerMode('copy', {
+            description: 'Target takes the source zone, source keeps theirs',
+            reads: ['source'],
+            resolve: (sourceZone, targetZone) => ({
+                source: sourceZone,
+                target: this.cloneZone(sourceZone)
+            })
+        });
+        
+        // Target takes the zone, source reverts to a neutral template
+        this.registerMode('drain', {
+            description: 'Target takes the source zone, source reverts to a neutral template',
+            reads: ['source'],
+            resolve: (sourceZone, targetZone, context) => ({
+                source: this.getNeutralZone(context.zone),
+                target: sourceZone
+            })
+        });
+        
+        // Both characters end up with a mix of the two zones
+        this.registerMode('blend', {
+            description: 'Both characters receive a blend of the two zones',
+            reads: ['source', 'target'],
+            resolve: (sourceZone, targetZone) => {
+                const blended = this.blendZones(sourceZone, targetZone);
+                return {
+                    source: blended,
+                    target: this.cloneZone(blended)
+                };
+            }
+        });
+    }
+    
+    /**
+     * Registers a reciprocal mode
+     * @param {string} name - Mode name used in performSwap options
+     * @param {Object} definition - Mode definition with a resolve(sourceZone, targetZone, context) function
+     *   and the sides whose zone it reads (reads, default both)
+     */
+    registerMode(name, definition) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Mode name must be a non-empty string');
+        }
+        
+        if (!definition || typeof definition.resolve !== 'function') {
+            throw new Error(`Mode ${name} must provide a resolve function`);
+        }
+        
+        const reads = definition.reads || ['source', 'target'];
+        if (!Array.isArray(reads) || reads.length === 0 || reads.some(side => side !== 'source' && side !== 'target')) {
+            throw new Error(`Mode ${name} must read from 'source', 'target' or both`);
+        }
+        
+        this.modes.set(name, {
+            name,
+            description: definition.description || '',
+            reads: [...new Set(reads)],
+            resolve: definition.resolve
+        });
+    }
+    
+    /**
+     * Removes a registered mode
+     * @param {string} name - Mode name
+     * @returns {boolean} True if the mode existed
+     */
+    unregisterMode(name) {
+        if (name === this.defaultMode) {
+            throw new Error(`Cannot remove the default mode: ${name}`);
+        }
+        return this.modes.delete(name);
+    }
+    
+    hasMode(name) {
+        return this.modes.has(name);
+    }
+    
+    getModes() {
+        return Array.from(this.modes.keys());
+    }
+    
+    /**
+     * Gets the sides whose zone a mode reads; the zone may be missing on the others
+     * @param {string} mode - Mode name
+     * @returns {Array} 'source' and/or 'target'
+     */
+    getReadSides(mode) {
+        const definition = this.modes.get(mode || this.defaultMode);
+        return definition ? [...definition.reads] : ['source', 'target'];
+    }
+    
+    /**
+     * Resolves the outcome of swapping one zone
+     * @param {string} mode - Mode name
+     * @param {Object} sourceZone - Source character's zone data
+     * @param {Object} targetZone - Target character's zone data
+     * @param {Object} context - Zone name, character IDs and swap options
+     * @returns {Object} New zone data for both sides: { source, target }
+     */
+    resolveZone(mode, sourceZone, targetZone, context = {}) {
+        const definition = this.modes.get(mode || this.defaultMode);
+        if (!definition) {
+            throw new Error(`Unknown reciprocal mode: ${mode}`);
+        }
+        
+        // Resolvers work on copies so staged maps never share zone objects
+        const outcome = definition.resolve(
+            this.cloneZone(sourceZone),
+            this.cloneZone(targetZone),
+            context
+        );
+        
+        if (!outcome || typeof outcome !== 'object') {
+            throw new Error(`Mode ${definition.name} did not return a zone outcome`);
+        }
+        
+        this.stats.resolvedZones++;
+        this.stats.resolvedByMode[definition.name] = (this.stats.resolvedByMode[definition.name] || 0) + 1;
+        
+        return {
+            source: outcome.source,
+            target: outcome.target
+        };
+    }
+    
+    /**
+     * Registers the template a drained zone reverts to
+     * @param {string} zone - Zone name
+     * @param {Object} template - Fields layered over the default neutral template
+     */
+    registerNeutralTemplate(zone, template) {
+        if (!template || typeof template !== 'object') {
+            throw new Error('Neutral template must be an object');
+        }
+        this.neutralTemplates.set(zone, template);
+    }
+    
+    /**
+     * Gets a fresh neutral zone for a drained zone
+     * @param {string} zone - Zone name
+     * @returns {Object} Neutral zone data
+     */
+    getNeutralZone(zone) {
+        return this.cloneZone({
+            ...this.neutralTemplate,
+            ...(this.neutralTemplates.get(zone) || {})
+        });
+    }
+    
+    /**
+     * Blends two zones field by field.
+     * Differing strings are combined, arrays are merged without duplicates and
+     * nested objects are blended recursively; other values prefer the source.
+     * @param {Object} sourceZone - Source zone data
+     * @param {Object} targetZone - Target zone data
+     * @returns {Object} Blended zone data
+     */
+    blendZones(sourceZone, targetZone) {
+        if (!sourceZone) return this.cloneZone(targetZone);
+        if (!targetZone) return this.cloneZone(sourceZone);
+        
+        const blended = {};
+        const keys = new Set([...Object.keys(sourceZone), ...Object.keys(targetZone)]);
+        
+        for (const key of keys) {
+            const a = sourceZone[key];
+            const b = targetZone[key];
+            
+            if (a === undefined) {
+                blended[key] = this.cloneZone(b);
+            } else if (b === undefined) {
+                blended[key] = this.cloneZone(a);
+            } else if (typeof a === 'string' && typeof b === 'string') {
+                blended[key] = a === b ? a : `${a} blended with ${b}`;
+            } else if (Array.isArray(a) && Array.isArray(b)) {
+                const seen = new Set();
+                blended[key] = [...a, ...b].filter(item => {
+                    const itemKey = JSON.stringify(item);
+                    if (seen.has(itemKey)) return false;
+                    seen.add(itemKey);
+                    return true;
+                }).map(item => this.cloneZone(item));
+            } else if (this.isPlainObject(a) && this.isPlainObject(b)) {
+                blended[key] = this.blendZones(a, b);
+            } else {
+                blended[key] = this.cloneZone(a);
+            }
+        }
+        
+        return blended;
+    }
+    
+    cloneZone(zoneData) {
+        return zoneData === undefined ? undefined : JSON.parse(JSON.stringify(zoneData));
+    }
+    
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Gets handler status
+     * @returns {Object} Handler status information
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            enabled: this.enabled,
+            defaultMode: this.defaultMode,
+            modes: this.getModes(),
+            stats: { ...this.stats }
+        };
+    }
+}
+
+// Export for both browser and Node.js environments
+if (typeof window !== 'undefined') {
+    window.ThreadshiftReciprocalSwapHandler = ThreadshiftReciprocalSwapHandler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThreadshiftReciprocalSwapHandler;
+}
\ No newline at end of file
@@ -0,0 +1,383 @@
+/**
+ * ThreadshiftSnapshotManager
+ *
+ * Captures named, point-in-time snapshots of every body map, the garment worn
+ * state and the zone swap engine's ledger, so a story can return to a moment
+ * like "before the curse". Snapshots can be listed, diffed against the current
+ * state and restored; a restore first snapshots the current state and records
+ * a history entry, so the restore itself can be undone.
+ * Part of the Threadshift Core Engine plugin.
+ *
+ * @extends ThreadshiftModule
+ */
+class ThreadshiftSnapshotManager extends ThreadshiftModule {
+    constructor() {
+        super('SnapshotManager');
+        this.dependencies = ['storage', 'config'];
+        
+        // Dependencies (will be injected)
+        this.engine = null;
+        this.inventory = null;
+        this.history = null;
+        
+        // snapshotId -> snapshot
+        this.snapshots = new Map();
+        
+        // Automatic snapshots beyond this are pruned oldest first; named ones are kept
+        this.maxSnapshots = 20;
+        
+        this.stats = {
+            created: 0,
+            restored: 0,
+            pruned: 0
+        };
+    }
+    
+    async initialize() {
+        if (!await super.initialize()) return false;
+        
+        try {
+            this.maxSnapshots = this.getConfig('storage.maxSnapshots', this.maxSnapshots);
+            
+            const stored = await this.getStorage().loadSnapshots();
+            for (const [snapshotId, snapshot] of Object.entries(stored || {})) {
+                this.snapshots.set(snapshotId, snapshot);
+            }
+            
+            this.logInfo(`Snapshot manager initialized with ${this.snapshots.size} snapshots`);
+            return true;
+            
+        } catch (error) {
+            this.handleError('initialize', error, true);
+            return false;
+        }
+    }
+    
+    getStorage() {
+        const storage = window.Threadshift?.foundation?.storage;
+        if (!storage) {
+            throw new Error('Storage dependency not available');
+        }
+        return storage;
+    }
+    
+    /**
+     * Captures every body map, the worn state and the swap ledger
+     * @param {string} name - Snapshot name, e.g. 'before the curse'
+     * @param {Object} options - Snapshot options
+     * @param {string} [options.description] - Free-form note
+     * @param {boolean} [options.auto=false] - Taken automatically; automatic snapshots are pruned first
+     * @returns {Promise<Object>} Snapshot summary
+     */
+    async createSnapshot(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Snapshot name must be a non-empty string');
+        }
+        
+        const snapshot = {
+            id: this.generateSnapshotId(),
+            name,
+            description: options.description || '',
+            auto: !!options.auto,
+            createdAt: new Date().toISOString(),
+            bodyMaps: await this.getStorage().loadAllMaps(),
+            wornState: this.captureWornState(),
+            ledger: this.engine ? this.engine.getSwapLedger() : null
+        };
+        
+        // Detach from live objects so later changes can't alter the snapshot
+        const stored = JSON.parse(JSON.stringify(snapshot));
+        this.snapshots.set(stored.id, stored);
+        this.stats.created++;
+        
+        this.pruneSnapshots();
+        await this.persistSnapshots();
+        
+        const summary = this.summarizeSnapshot(stored);
+        this.fireEvent('snapshot-created', summary);
+        
+        return summary;
+    }
+    
+    /**
+     * Lists snapshots, newest first
+     * @param {Object} options - Filter options
+     * @param {boolean} [options.includeAuto=true] - Include automatic snapshots
+     * @returns {Array} Snapshot summaries
+     */
+    listSnapshots(options = {}) {
+        return Array.from(this.snapshots.values())
+            .filter(snapshot => options.includeAuto !== false || !snapshot.auto)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(snapshot => this.summarizeSnapshot(snapshot));
+    }
+    
+    /**
+     * Gets a snapshot by ID, or the newest snapshot with that name
+     * @param {string} idOrName - Snapshot ID or name
+     * @returns {Object|null} Snapshot
+     */
+    getSnapshot(idOrName) {
+        if (this.snapshots.has(idOrName)) {
+            return this.snapshots.get(idOrName);
+        }
+        
+        const named = Array.from(this.snapshots.values())
+            .filter(snapshot => snapshot.name === idOrName)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        return named[0] || null;
+    }
+    
+    /**
+     * Deletes a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Promise<boolean>} True if the snapshot existed
+     */
+    async deleteSnapshot(snapshotId) {
+        if (!this.snapshots.delete(snapshotId)) {
+            return false;
+        }
+        
+        await this.persistSnapshots();
+        this.fireEvent('snapshot-deleted', { snapshotId });
+        return true;
+    }
+    
+    /**
+     * Compares a snapshot with the current state
+     * @param {string} idOrName - Snapshot ID or name
+     * @returns {Promise<Object>} Per-character zone changes, worn state changes and swap ledger changes
+     */
+    async diffSnapshot(idOrName) {
+        const snapshot = this.requireSnapshot(idOrName);
+        const currentMaps = await this.getStorage().loadAllMaps();
+        
+        const characters = {};
+        const characterIds = new Set([...Object.keys(snapshot.bodyMaps), ...Object.keys(currentMaps)]);
+        
+        for (const characterId of characterIds) {
+            const then = snapshot.bodyMaps[characterId];
+            const now = currentMaps[characterId];
+            
+            if (!then || !now) {
+                characters[characterId] = { status: then ? 'removed' : 'added', zones: {} };
+                continue;
+            }
+            
+            const zones = {};
+            for (const zone of new Set([...Object.keys(then), ...Object.keys(now)])) {
+                if (JSON.stringify(then[zone]) !== JSON.stringify(now[zone])) {
+                    zones[zone] = { snapshot: then[zone], current: now[zone] };
+                }
+            }
+            
+            characters[characterId] = {
+                status: Object.keys(zones).length > 0 ? 'changed' : 'unchanged',
+                zones
+            };
+        }
+        
+        const worn = {};
+        const wornThen = snapshot.wornState ? snapshot.wornState.garmentWornBy : {};
+        const wornNow = this.captureWornState().garmentWornBy;
+        for (const garmentId of new Set([...Object.keys(wornThen), ...Object.keys(wornNow)])) {
+            if (wornThen[garmentId] !== wornNow[garmentId]) {
+                worn[garmentId] = { snapshot: wornThen[garmentId] || null, current: wornNow[garmentId] || null };
+            }
+        }
+        
+        const swapsThen = Object.keys(snapshot.ledger ? snapshot.ledger.activeSwaps : {});
+        const swapsNow = this.engine ? Array.from(this.engine.activeSwaps.keys()) : [];
+        
+        return {
+            snapshotId: snapshot.id,
+            name: snapshot.name,
+            createdAt: snapshot.createdAt,
+            identical: Object.values(characters).every(character => character.status === 'unchanged') &&
+                Object.keys(worn).length === 0 &&
+                swapsThen.length === swapsNow.length && swapsThen.every(swapId => swapsNow.includes(swapId)),
+            characters,
+            worn,
+            swaps: {
+                added: swapsNow.filter(swapId => !swapsThen.includes(swapId)),
+                removed: swapsThen.filter(swapId => !swapsNow.includes(swapId))
+            }
+        };
+    }
+    
+    /**
+     * Restores every character in a snapshot, the worn state and the swap ledger.
+     * Characters created after the snapshot are left as they are.
+     * @param {string} idOrName - Snapshot ID or name
+     * @param {Object} options - Restore options
+     * @param {boolean} [options.autoSnapshot=true] - Snapshot the current state first so the restore can be undone
+     * @param {boolean} [options.record=true] - Record a SYSTEM entry in the history tracker
+     * @returns {Promise<Object>} Restore result
+     */
+    async restoreSnapshot(idOrName, options = {}) {
+        return await this.safeOperation('restoreSnapshot', async () => {
+            const snapshot = this.requireSnapshot(idOrName);
+            const warnings = [];
+            
+            const previous = options.autoSnapshot !== false
+                ? await this.createSnapshot(`Before restoring ${snapshot.name}`, { auto: true })
+                : null;
+            
+            const storage = this.getStorage();
+            const currentIds = await storage.getAllCharacterIds();
+            const untouched = currentIds.filter(characterId => !(characterId in snapshot.bodyMaps));
+            
+            // Every map in one write, like a swap commit
+            if (Object.keys(snapshot.bodyMaps).length > 0) {
+                const saved = await storage.saveBodyMaps(JSON.parse(JSON.stringify(snapshot.bodyMaps)));
+                if (!saved) {
+                    throw new Error(`Failed to write body maps for snapshot ${snapshot.id}`);
+                }
+            }
+            
+            if (this.inventory && snapshot.wornState) {
+                try {
+                    await this.restoreWornState(snapshot.wornState);
+                } catch (error) {
+                    this.handleError('restoreWornState', error, false);
+                    warnings.push(`Worn state not restored: ${error.message}`);
+                }
+            }
+            
+            if (this.engine && snapshot.ledger) {
+                await this.engine.replaceSwapLedger(snapshot.ledger);
+            }
+            
+            this.stats.restored++;
+            
+            if (options.record !== false && this.history) {
+                this.history.recordTransformation(this.history.entryTypes.SYSTEM, {
+                    action: 'snapshot-restore',
+                    snapshotId: snapshot.id,
+                    previousSnapshotId: previous ? previous.id : null,
+                    name: snapshot.name,
+                    characters: Object.keys(snapshot.bodyMaps)
+                }, `Restored snapshot "${snapshot.name}"`, { source: 'system' });
+            }
+            
+            const result = {
+                success: true,
+                snapshotId: snapshot.id,
+                name: snapshot.name,
+                previousSnapshotId: previous ? previous.id : null,
+                characters: Object.keys(snapshot.bodyMaps),
+                untouched,
+                warnings,
+                restoredAt: new Date().toISOString()
+            };
+            
+            this.fireEvent('snapshot-restored', result);
+            
+            return result;
+        }, null);
+    }
+    
+    captureWornState() {
+        if (!this.inventory) {
+            return { garmentWornBy: {}, lastWornBy: {}, wornGarments: {} };
+        }
+        
+        return {
+            garmentWornBy: Object.fromEntries(this.inventory.garmentWornBy),
+            lastWornBy: Object.fromEntries(this.inventory.lastWornBy),
+            wornGarments: Object.fromEntries(
+                Array.from(this.inventory.wornGarments.entries()).map(([userId, garmentSet]) => [
+                    userId,
+                    Array.from(garmentSet)
+                ])
+            )
+        };
+    }
+    
+    async restoreWornState(wornState) {
+        this.inventory.clearWornState();
+        
+        for (const [garmentId, userId] of Object.entries(wornState.garmentWornBy || {})) {
+            this.inventory.garmentWornBy.set(garmentId, userId);
+        }
+        
+        for (const [garmentId, userId] of Object.entries(wornState.lastWornBy || {})) {
+            this.inventory.lastWornBy.set(garmentId, userId);
+        }
+        
+        for (const [userId, garmentArray] of Object.entries(wornState.wornGarments || {})) {
+            this.inventory.wornGarments.set(userId, new Set(garmentArray));
+        }
+        
+        await this.inventory.saveInventoryToStorage();
+    }
+    
+    requireSnapshot(idOrName) {
+        const snapshot = this.getSnapshot(idOrName);
+        if (!snapshot) {
+            throw new Error(`Snapshot not found: ${idOrName}`);
+        }
+        return snapshot;
+    }
+    
+    pruneSnapshots() {
+        const automatic = Array.from(this.snapshots.values())
+            .filter(snapshot => snapshot.auto)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        
+        while (this.snapshots.size > this.maxSnapshots && automatic.length > 0) {
+            this.snapshots.delete(automatic.shift().id);
+            this.stats.pruned++;
+        }
+    }
+    
+    async persistSnapshots() {
+        try {
+            return await this.getStorage().saveSnapshots(Object.fromEntries(this.snapshots));
+        } catch (error) {
+            this.handleError('persistSnapshots', error, false);
+            return false;
+        }
+    }
+    
+    summarizeSnapshot(snapshot) {
+        return {
+            id: snapshot.id,
+            name: snapshot.name,
+            description: snapshot.description,
+            auto: snapshot.auto,
+            createdAt: snapshot.createdAt,
+            characters: Object.keys(snapshot.bodyMaps),
+            wornGarments: Object.keys(snapshot.wornState ? snapshot.wornState.garmentWornBy : {}).length,
+            activeSwaps: Object.keys(snapshot.ledger ? snapshot.ledger.activeSwaps : {}).length
+        };
+    }
+    
+    generateSnapshotId() {
+        return `snap_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    /**
+     * Gets snapshot manager status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            enabled: this.enabled,
+            snapshots: this.snapshots.size,
+            maxSnapshots: this.maxSnapshots,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+// Export for both browser and Node.js environments
+if (typeof window !== 'undefined') {
+    window.ThreadshiftSnapshotManager = ThreadshiftSnapshotManager;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThreadshiftSnapshotManager;
+}
\ No newline at end of file
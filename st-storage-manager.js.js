@@ -29,16 +29,22 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             history: 'threadshift_history',
             session: 'threadshift_session',
             settings: 'threadshift_settings',
-            cache: 'threadshift_cache'
+            cache: 'threadshift_cache',
+            swaps: 'threadshift_swaps',
+            snapshots: 'threadshift_snapshots',
+            provenance: 'threadshift_provenance'
         };
         
         this.storageVersions = {
             characters: '1.0.0',
             garments: '1.0.0',
-            history: '1.0.0',
+            history: '2.0.0',
             session: '1.0.0',
             settings: '1.0.0',
-            cache: '1.0.0'
+            cache: '1.0.0',
+            swaps: '1.0.0',
+            snapshots: '1.0.0',
+            provenance: '1.0.0'
         };
         
         this.fallbackStorage = new Map();
@@ -141,6 +147,9 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             // Check for version mismatches
             await this.validateStorageVersions();
             
+            // Rewrite zone aliases to canonical names
+            await this.migrateZoneNames();
+            
         } catch (error) {
             this.handleError('migration', error, false);
         }
@@ -169,6 +178,95 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
         this.logInfo(`Migration from ${fromVersion} to ${toVersion} for ${dataType} completed`);
     }
 
+    /**
+     * Rewrite zone aliases (e.g. hips) to their canonical names in stored
+     * body maps, snapshots and garments. Maps that declare a `_version` are
+     * skipped: their zone names belong to that schema version, and the
+     * validator's migrateBodyMap moves them between versions.
+     * @returns {Promise<Object>} Counts of rewritten maps, snapshots and garments, plus skipped maps and conflicts
+     */
+    async migrateZoneNames() {
+        const aliases = this.getConfig('zones.aliases', {});
+        const report = { bodyMaps: 0, snapshots: 0, garments: 0, skipped: [], conflicts: [] };
+        
+        if (Object.keys(aliases).length === 0) {
+            return report;
+        }
+        
+        const renameZones = (map, label) => {
+            if (!map || typeof map !== 'object') return false;
+            
+            if (map._version !== undefined) {
+                report.skipped.push(label);
+                return false;
+            }
+            
+            let changed = false;
+            for (const [alias, zone] of Object.entries(aliases)) {
+                if (map[alias] === undefined) continue;
+                
+                if (map[zone] !== undefined) {
+                    report.conflicts.push(`${label}: both '${alias}' and '${zone}' are present`);
+                    continue;
+                }
+                
+                map[zone] = map[alias];
+                delete map[alias];
+                changed = true;
+            }
+            return changed;
+        };
+        
+        // Body maps
+        const characters = await this.loadFromStorage('characters', {});
+        for (const [id, character] of Object.entries(characters)) {
+            if (character && renameZones(character.bodyMap, id)) {
+                report.bodyMaps++;
+            }
+        }
+        if (report.bodyMaps > 0) {
+            await this.saveToStorage('characters', characters);
+        }
+        
+        // Body maps captured in snapshots
+        const snapshots = await this.loadSnapshots();
+        for (const [snapshotId, snapshot] of Object.entries(snapshots)) {
+            let changed = false;
+            for (const [id, map] of Object.entries((snapshot && snapshot.bodyMaps) || {})) {
+                changed = renameZones(map, `${snapshotId}/${id}`) || changed;
+            }
+            if (changed) report.snapshots++;
+        }
+        if (report.snapshots > 0) {
+            await this.saveToStorage('snapshots', snapshots);
+        }
+        
+        // Garment zone lists
+        const garments = await this.loadFromStorage('garments', null);
+        if (garments && garments.inventory) {
+            for (const garment of Object.values(garments.inventory)) {
+                if (!garment || !Array.isArray(garment.zones) || !garment.zones.some(zone => zone in aliases)) continue;
+                
+                garment.zones = [...new Set(garment.zones.map(zone => aliases[zone] || zone))];
+                report.garments++;
+            }
+            if (report.garments > 0) {
+                await this.saveToStorage('garments', garments);
+            }
+        }
+        
+        if (report.bodyMaps + report.snapshots + report.garments > 0) {
+            this.logInfo(`Canonicalized zone names in ${report.bodyMaps} body maps, ${report.snapshots} snapshots and ${report.garments} garments`);
+            this.fireEvent('zone-names-migrated', report);
+        }
+        
+        if (report.conflicts.length > 0) {
+            this.logWarning(`Zone alias conflicts left unchanged: ${report.conflicts.join('; ')}`);
+        }
+        
+        return report;
+    }
+
     /**
      * Migrate legacy storage format
      */
@@ -221,8 +319,10 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             const maxAge = this.getConfig('performance.maxCacheAge', 3600000); // 1 hour default
             const cutoffDate = new Date(Date.now() - maxAge);
             
-            // Clean up old history entries
-            const history = await this.loadFromStorage('history', []);
+            // Clean up old history entries - a branched (2.0.0) history prunes itself, since
+            // dropping entries here would cut its branches apart
+            const storedHistory = await this.loadFromStorage('history', []);
+            const history = Array.isArray(storedHistory) ? storedHistory : [];
             const originalLength = history.length;
             
             const cleanedHistory = history.filter(entry => {
@@ -507,6 +607,113 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
         return success;
     }
 
+    /**
+     * Save several body maps in a single storage write
+     * @param {Object} maps - Body maps keyed by character ID
+     */
+    async saveBodyMaps(maps) {
+        if (!maps || typeof maps !== 'object' || Array.isArray(maps)) {
+            throw new Error('Body maps must be an object keyed by character ID');
+        }
+        
+        // Validate everything before touching storage so a bad entry can't cause a partial write
+        for (const [id, map] of Object.entries(maps)) {
+            if (!id) {
+                throw new Error('Character ID must be a non-empty string');
+            }
+            if (!map || typeof map !== 'object') {
+                throw new Error(`Body map for ${id} must be an object`);
+            }
+        }
+        
+        const characters = await this.loadFromStorage('characters', {});
+        const now = new Date().toISOString();
+        
+        for (const [id, map] of Object.entries(maps)) {
+            characters[id] = {
+                id: id,
+                bodyMap: map,
+                _lastModified: now
+            };
+        }
+        
+        const success = await this.saveToStorage('characters', characters);
+        
+        if (success) {
+            for (const [id, map] of Object.entries(maps)) {
+                this.fireEvent('body-map-saved', { id, map });
+            }
+        }
+        
+        return success;
+    }
+
+    /**
+     * Save the swap engine's ledger of active swaps and swap history
+     * @param {Object} ledger - { activeSwaps, swapHistory, swapCounter }
+     */
+    async saveSwapLedger(ledger) {
+        if (!ledger || typeof ledger !== 'object' || Array.isArray(ledger)) {
+            throw new Error('Swap ledger must be an object');
+        }
+        
+        if (ledger.swapHistory && !Array.isArray(ledger.swapHistory)) {
+            throw new Error('Swap history must be an array');
+        }
+        
+        // Snapshot the ledger so later in-memory changes can't alter what was saved
+        const snapshot = JSON.parse(JSON.stringify({
+            activeSwaps: ledger.activeSwaps || {},
+            swapHistory: ledger.swapHistory || [],
+            swapCounter: ledger.swapCounter || 0
+        }));
+        
+        const success = await this.saveToStorage('swaps', snapshot);
+        
+        if (success) {
+            this.fireEvent('swap-ledger-saved', {
+                activeSwaps: Object.keys(snapshot.activeSwaps).length,
+                historyEntries: snapshot.swapHistory.length
+            });
+        }
+        
+        return success;
+    }
+
+    /**
+     * Load the swap engine's ledger
+     * @returns {Promise<Object|null>} Saved ledger or null
+     */
+    async loadSwapLedger() {
+        return await this.loadFromStorage('swaps', null);
+    }
+
+    /**
+     * Save body-map snapshots
+     * @param {Object} snapshots - Snapshots keyed by snapshot ID
+     */
+    async saveSnapshots(snapshots) {
+        if (!snapshots || typeof snapshots !== 'object' || Array.isArray(snapshots)) {
+            throw new Error('Snapshots must be an object keyed by snapshot ID');
+        }
+        
+        const success = await this.saveToStorage('snapshots', JSON.parse(JSON.stringify(snapshots)));
+        
+        if (success) {
+            this.fireEvent('snapshots-saved', { count: Object.keys(snapshots).length });
+        }
+        
+        return success;
+    }
+
+    /**
+     * Load body-map snapshots
+     * @returns {Promise<Object>} Snapshots keyed by snapshot ID
+     */
+    async loadSnapshots() {
+        return await this.loadFromStorage('snapshots', {});
+    }
+
     /**
      * Load a body map for a character
      */
@@ -611,12 +818,18 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
         const garments = await this.loadFromStorage('garments', {});
         const history = await this.loadFromStorage('history', []);
         const settings = await this.loadFromStorage('settings', {});
+        const swaps = await this.loadFromStorage('swaps', null);
+        const snapshots = await this.loadFromStorage('snapshots', {});
+        const provenance = await this.loadFromStorage('provenance', { ledger: {} });
         
         return {
             characters,
             garments,
             history,
             settings,
+            swaps,
+            snapshots,
+            provenance,
             _exportedAt: new Date().toISOString(),
             _version: '1.0.0'
         };
@@ -635,6 +848,9 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             garments: 0,
             history: 0,
             settings: 0,
+            swaps: 0,
+            snapshots: 0,
+            provenance: 0,
             errors: []
         };
         
@@ -651,7 +867,9 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             
             if (jsonData.history) {
                 await this.saveToStorage('history', jsonData.history);
-                results.history = jsonData.history.length;
+                results.history = Array.isArray(jsonData.history)
+                    ? jsonData.history.length
+                    : (jsonData.history.entries || []).length;
             }
             
             if (jsonData.settings) {
@@ -659,6 +877,21 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
                 results.settings = Object.keys(jsonData.settings).length;
             }
             
+            if (jsonData.swaps) {
+                await this.saveSwapLedger(jsonData.swaps);
+                results.swaps = Object.keys(jsonData.swaps.activeSwaps || {}).length;
+            }
+            
+            if (jsonData.snapshots) {
+                await this.saveSnapshots(jsonData.snapshots);
+                results.snapshots = Object.keys(jsonData.snapshots).length;
+            }
+            
+            if (jsonData.provenance) {
+                await this.saveToStorage('provenance', { ledger: jsonData.provenance.ledger || {} });
+                results.provenance = Object.keys(jsonData.provenance.ledger || {}).length;
+            }
+            
             this.fireEvent('data-imported', results);
             
         } catch (error) {
@@ -702,7 +935,7 @@ class ThreadshiftStorageManager extends ThreadshiftModule {
             
             // Validate history
             const history = await this.loadFromStorage('history', []);
-            results.stats.historyEntries = history.length;
+            results.stats.historyEntries = Array.isArray(history) ? history.length : (history.entries || []).length;
             
             // Validate cache
             const cache = await this.loadFromStorage('cache', {});
@@ -0,0 +1,520 @@
+/**
+ * ThreadshiftSwapScheduler
+ *
+ * Tracks pending expirations for timed and conditional swaps and reverses them
+ * through the zone swap engine when they come due. A swap can expire after a
+ * wall-clock duration, after a number of received chat messages, or when a
+ * named story trigger fires - whichever happens first. It also advances
+ * staged swaps on an interval or every few received messages.
+ * Part of the Threadshift Core Engine plugin.
+ *
+ * @extends ThreadshiftModule
+ */
+class ThreadshiftSwapScheduler extends ThreadshiftModule {
+    constructor() {
+        super('SwapScheduler');
+        this.dependencies = ['config'];
+        
+        // Dependencies (will be injected)
+        this.engine = null;
+        this.session = null;
+        
+        // swapId -> pending expiration
+        this.pending = new Map();
+        
+        // swapId -> stage advancement schedule
+        this.stageSchedules = new Map();
+        
+        this.checkInterval = 1000;
+        this.checkTimer = null;
+        this.isChecking = false;
+        
+        // Handlers kept so they can be detached on shutdown
+        this.sessionEventHandler = null;
+        this.engineEventHandler = null;
+        this.stageEventHandler = null;
+        this.stageCompletedHandler = null;
+        this.ledgerReplacedHandler = null;
+        
+        this.stats = {
+            scheduled: 0,
+            expired: 0,
+            cancelled: 0,
+            failedExpirations: 0,
+            stagesAdvanced: 0
+        };
+    }
+    
+    async initialize() {
+        if (!await super.initialize()) return false;
+        
+        try {
+            if (!this.engine) {
+                throw new Error('Missing required dependency: engine');
+            }
+            
+            // Restore expirations saved with the session
+            this.restorePending();
+            
+            this.setupEventListeners();
+            this.startChecking();
+            
+            this.addCleanupTask(() => this.stopChecking());
+            
+            this.logInfo(`Swap scheduler initialized with ${this.pending.size} pending expirations and ${this.stageSchedules.size} staged swaps`);
+            return true;
+            
+        } catch (error) {
+            this.handleError('initialize', error, true);
+            return false;
+        }
+    }
+    
+    setupEventListeners() {
+        // Message-count expirations advance on received chat messages
+        if (this.session) {
+            this.sessionEventHandler = (data) => {
+                if (data.eventName === 'message_received') {
+                    this.handleMessageReceived()
+                        .catch(error => this.handleError('handleMessageReceived', error, false));
+                }
+            };
+            this.session.addEventListener('st-event-received', this.sessionEventHandler);
+        }
+        
+        // Swaps reversed, superseded or cancelled by other means no longer need to expire or advance
+        this.engineEventHandler = async (data) => {
+            try {
+                if (this.pending.has(data.swapId)) {
+                    await this.cancel(data.swapId);
+                }
+                await this.cancelStages(data.swapId);
+            } catch (error) {
+                this.handleError('engineEventHandler', error, false);
+            }
+        };
+        this.engine.addEventListener('swap-reversed', this.engineEventHandler);
+        this.engine.addEventListener('swap-superseded', this.engineEventHandler);
+        this.engine.addEventListener('swap-cancelled', this.engineEventHandler);
+        
+        // Any completed step - scheduled or manual - or a resume restarts the countdown to the next one
+        this.stageEventHandler = (data) => {
+            this.resetStageCountdown(data.swapId)
+                .catch(error => this.handleError('resetStageCountdown', error, false));
+        };
+        this.engine.addEventListener('swap-stage-advanced', this.stageEventHandler);
+        this.engine.addEventListener('swap-resumed', this.stageEventHandler);
+        
+        this.stageCompletedHandler = (data) => {
+            this.cancelStages(data.swapId)
+                .catch(error => this.handleError('cancelStages', error, false));
+        };
+        this.engine.addEventListener('staged-swap-completed', this.stageCompletedHandler);
+        
+        // A replaced ledger (snapshot restore) can drop swaps that were waiting here
+        this.ledgerReplacedHandler = (data) => {
+            for (const swapId of data.removedSwapIds) {
+                this.engineEventHandler({ swapId });
+            }
+        };
+        this.engine.addEventListener('swap-ledger-replaced', this.ledgerReplacedHandler);
+    }
+    
+    /**
+     * Validates an expiry specification
+     * @param {Object} expires - { duration: ms, messages: count, trigger: name }
+     */
+    validateExpiry(expires) {
+        if (!expires || typeof expires !== 'object') {
+            throw new Error('Expiry must be an object');
+        }
+        
+        const { duration, messages, trigger } = expires;
+        
+        if (duration === undefined && messages === undefined && trigger === undefined) {
+            throw new Error('Expiry needs at least one of: duration, messages, trigger');
+        }
+        
+        if (duration !== undefined && (typeof duration !== 'number' || duration <= 0)) {
+            throw new Error('Expiry duration must be a positive number of milliseconds');
+        }
+        
+        if (messages !== undefined && (!Number.isInteger(messages) || messages <= 0)) {
+            throw new Error('Expiry message count must be a positive integer');
+        }
+        
+        if (trigger !== undefined) {
+            if (!trigger || typeof trigger !== 'string') {
+                throw new Error('Expiry trigger must be a non-empty string');
+            }
+            if (!this.isFeatureEnabled('storyTriggers')) {
+                throw new Error('Story triggers are disabled');
+            }
+        }
+    }
+    
+    /**
+     * Schedules a swap to expire
+     * @param {string} swapId - Active swap ID
+     * @param {Object} expires - { duration: ms, messages: count, trigger: name }
+     * @returns {Promise<Object>} Pending expiration
+     */
+    async schedule(swapId, expires) {
+        this.validateExpiry(expires);
+        
+        const now = Date.now();
+        const entry = {
+            swapId,
+            scheduledAt: new Date(now).toISOString(),
+            expiresAt: expires.duration !== undefined ? new Date(now + expires.duration).toISOString() : null,
+            messagesRemaining: expires.messages !== undefined ? expires.messages : null,
+            trigger: expires.trigger || null
+        };
+        
+        this.pending.set(swapId, entry);
+        this.stats.scheduled++;
+        
+        await this.persistPending();
+        
+        this.fireEvent('swap-expiry-scheduled', { ...entry });
+        return { ...entry };
+    }
+    
+    /**
+     * Cancels a pending expiration
+     * @param {string} swapId - Swap ID
+     * @returns {Promise<boolean>} True if an expiration was pending
+     */
+    async cancel(swapId) {
+        if (!this.pending.delete(swapId)) {
+            return false;
+        }
+        
+        this.stats.cancelled++;
+        await this.persistPending();
+        
+        this.fireEvent('swap-expiry-cancelled', { swapId });
+        return true;
+    }
+    
+    /**
+     * Fires a named story trigger, expiring every swap waiting on it
+     * @param {string} trigger - Trigger name, e.g. 'dawn'
+     * @returns {Promise<Array>} Expiration results
+     */
+    async fireTrigger(trigger) {
+        const due = Array.from(this.pending.values())
+            .filter(entry => entry.trigger === trigger)
+            .map(entry => entry.swapId);
+        
+        this.fireEvent('story-trigger-fired', { trigger, swaps: due });
+        
+        return await this.expireAll(due, `trigger:${trigger}`);
+    }
+    
+    /**
+     * Validates how a staged swap advances
+     * @param {Object} advance - { interval: ms } or { messages: count }
+     */
+    validateStageAdvance(advance) {
+        if (!advance || typeof advance !== 'object') {
+            throw new Error('Stage advance must be an object');
+        }
+        
+        const { interval, messages } = advance;
+        
+        if (interval === undefined && messages === undefined) {
+            throw new Error('Stage advance needs an interval or a message count');
+        }
+        
+        if (interval !== undefined && (typeof interval !== 'number' || interval <= 0)) {
+            throw new Error('Stage interval must be a positive number of milliseconds');
+        }
+        
+        if (messages !== undefined && (!Number.isInteger(messages) || messages <= 0)) {
+            throw new Error('Stage message count must be a positive integer');
+        }
+    }
+    
+    /**
+     * Schedules the remaining steps of a staged swap
+     * @param {string} swapId - Staged swap ID
+     * @param {Object} advance - { interval: ms } or { messages: count }
+     * @returns {Promise<Object>} Stage schedule
+     */
+    async scheduleStages(swapId, advance) {
+        this.validateStageAdvance(advance);
+        
+        const entry = {
+            swapId,
+            interval: advance.interval !== undefined ? advance.interval : null,
+            messages: advance.messages !== undefined ? advance.messages : null,
+            nextAt: null,
+            messagesRemaining: null
+        };
+        
+        this.stageSchedules.set(swapId, entry);
+        await this.resetStageCountdown(swapId);
+        
+        this.fireEvent('swap-stages-scheduled', { ...entry });
+        return { ...entry };
+    }
+    
+    /**
+     * Stops advancing a staged swap
+     * @param {string} swapId - Staged swap ID
+     * @returns {Promise<boolean>} True if the swap was scheduled
+     */
+    async cancelStages(swapId) {
+        if (!this.stageSchedules.delete(swapId)) {
+            return false;
+        }
+        
+        await this.persistPending();
+        return true;
+    }
+    
+    async resetStageCountdown(swapId) {
+        const entry = this.stageSchedules.get(swapId);
+        if (!entry) return;
+        
+        entry.nextAt = entry.interval !== null ? new Date(Date.now() + entry.interval).toISOString() : null;
+        entry.messagesRemaining = entry.messages;
+        await this.persistPending();
+    }
+    
+    isStagePaused(swapId) {
+        const swapData = this.engine.activeSwaps.get(swapId);
+        return !!swapData && swapData.status === 'paused';
+    }
+    
+    async advanceStages(swapIds) {
+        const results = [];
+        
+        for (const swapId of swapIds) {
+            if (!this.stageSchedules.has(swapId)) continue;
+            
+            try {
+                const result = await this.engine.advanceSwap(swapId);
+                if (result && result.success) {
+                    this.stats.stagesAdvanced++;
+                } else if (!this.engine.activeSwaps.has(swapId)) {
+                    // The swap is gone; nothing left to advance
+                    await this.cancelStages(swapId);
+                }
+                
+                results.push({ swapId, ...(result || { success: false }) });
+                
+            } catch (error) {
+                this.handleError('advanceStages', error, false);
+                results.push({ swapId, success: false, error: error.message });
+            }
+        }
+        
+        return results;
+    }
+    
+    async handleMessageReceived() {
+        const dueStages = [];
+        
+        for (const entry of this.stageSchedules.values()) {
+            if (entry.messagesRemaining === null || this.isStagePaused(entry.swapId)) continue;
+            
+            entry.messagesRemaining--;
+            if (entry.messagesRemaining <= 0) {
+                dueStages.push(entry.swapId);
+            }
+        }
+        
+        const due = [];
+        
+        for (const entry of this.pending.values()) {
+            if (entry.messagesRemaining === null) continue;
+            
+            entry.messagesRemaining--;
+            if (entry.messagesRemaining <= 0) {
+                due.push(entry.swapId);
+            }
+        }
+        
+        // Advance first so an expiring swap is reverted with every step it reached
+        await this.advanceStages(dueStages);
+        
+        if (due.length > 0) {
+            await this.expireAll(due, 'messages');
+        } else if (this.pending.size > 0 || this.stageSchedules.size > 0) {
+            await this.persistPending();
+        }
+    }
+    
+    /**
+     * Advances staged swaps whose interval has passed and expires every
+     * swap whose duration has run out
+     * @returns {Promise<Array>} Expiration results
+     */
+    async checkDueExpirations() {
+        if (this.isChecking || (this.pending.size === 0 && this.stageSchedules.size === 0)) {
+            return [];
+        }
+        
+        this.isChecking = true;
+        
+        try {
+            const now = Date.now();
+            
+            const dueStages = Array.from(this.stageSchedules.values())
+                .filter(entry => entry.nextAt && new Date(entry.nextAt).getTime() <= now && !this.isStagePaused(entry.swapId))
+                .map(entry => entry.swapId);
+            await this.advanceStages(dueStages);
+            
+            const due = Array.from(this.pending.values())
+                .filter(entry => entry.expiresAt && new Date(entry.expiresAt).getTime() <= now)
+                .map(entry => entry.swapId);
+            
+            return await this.expireAll(due, 'duration');
+            
+        } finally {
+            this.isChecking = false;
+        }
+    }
+    
+    async expireAll(swapIds, reason) {
+        const results = [];
+        
+        for (const swapId of swapIds) {
+            if (!this.pending.has(swapId)) continue;
+            results.push(await this.expire(swapId, reason));
+        }
+        
+        return results;
+    }
+    
+    async expire(swapId, reason) {
+        // Drop the entry first so the engine's swap-reversed event doesn't count as a cancellation
+        this.pending.delete(swapId);
+        
+        try {
+            const result = await this.engine.expireSwap(swapId, reason);
+            
+            if (result && result.success) {
+                this.stats.expired++;
+            } else {
+                this.stats.failedExpirations++;
+            }
+            
+            return { swapId, reason, ...(result || { success: false }) };
+            
+        } catch (error) {
+            this.stats.failedExpirations++;
+            this.handleError('expire', error, false);
+            return { swapId, reason, success: false, error: error.message };
+            
+        } finally {
+            await this.persistPending();
+        }
+    }
+    
+    restorePending() {
+        if (!this.session) return;
+        
+        const saved = this.session.sessionData.pendingExpirations || {};
+        for (const [swapId, entry] of Object.entries(saved)) {
+            this.pending.set(swapId, { ...entry });
+        }
+        
+        const savedStages = this.session.sessionData.pendingStages || {};
+        for (const [swapId, entry] of Object.entries(savedStages)) {
+            this.stageSchedules.set(swapId, { ...entry });
+        }
+    }
+    
+    /**
+     * Saves pending expirations and stage schedules with the session
+     */
+    async persistPending() {
+        if (!this.session) return false;
+        
+        this.session.sessionData.pendingExpirations = Object.fromEntries(
+            Array.from(this.pending.entries()).map(([swapId, entry]) => [swapId, { ...entry }])
+        );
+        this.session.sessionData.pendingStages = Object.fromEntries(
+            Array.from(this.stageSchedules.entries()).map(([swapId, entry]) => [swapId, { ...entry }])
+        );
+        this.session.pendingChanges = true;
+        
+        return await this.session.saveSession();
+    }
+    
+    startChecking() {
+        this.stopChecking();
+        this.checkTimer = setInterval(() => {
+            this.checkDueExpirations()
+                .catch(error => this.handleError('checkDueExpirations', error, false));
+        }, this.checkInterval);
+    }
+    
+    stopChecking() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+    
+    /**
+     * Gets pending expirations
+     * @returns {Array} Pending expiration entries
+     */
+    getPending() {
+        return Array.from(this.pending.values()).map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * Gets stage schedules of staged swaps
+     * @returns {Array} Stage schedule entries
+     */
+    getStageSchedules() {
+        return Array.from(this.stageSchedules.values()).map(entry => ({ ...entry }));
+    }
+    
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            enabled: this.enabled,
+            pending: this.pending.size,
+            stagedSwaps: this.stageSchedules.size,
+            stats: { ...this.stats }
+        };
+    }
+    
+    async shutdown() {
+        this.stopChecking();
+        
+        if (this.session && this.sessionEventHandler) {
+            this.session.removeEventListener('st-event-received', this.sessionEventHandler);
+        }
+        
+        if (this.engine && this.engineEventHandler) {
+            this.engine.removeEventListener('swap-reversed', this.engineEventHandler);
+            this.engine.removeEventListener('swap-superseded', this.engineEventHandler);
+            this.engine.removeEventListener('swap-cancelled', this.engineEventHandler);
+        }
+        
+        if (this.engine && this.stageEventHandler) {
+            this.engine.removeEventListener('swap-stage-advanced', this.stageEventHandler);
+            this.engine.removeEventListener('swap-resumed', this.stageEventHandler);
+            this.engine.removeEventListener('staged-swap-completed', this.stageCompletedHandler);
+            this.engine.removeEventListener('swap-ledger-replaced', this.ledgerReplacedHandler);
+        }
+        
+        await super.shutdown();
+    }
+}
+
+// Export for both browser and Node.js environments
+if (typeof window !== 'undefined') {
+    window.ThreadshiftSwapScheduler = ThreadshiftSwapScheduler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThreadshiftSwapScheduler;
+}
\ No newline at end of file
@@ -20,7 +20,7 @@ class ThreadshiftConfig {
         
         this.initialized = false;
         this.storageKey = 'threadshift_config';
-        this.version = '1.0.0';
+        this.version = '1.1.0';
         
         // Default configuration structure
         this.data = {
@@ -80,11 +80,15 @@ class ThreadshiftConfig {
                     garments: 'threadshift_garments',
                     history: 'threadshift_history',
                     settings: 'threadshift_settings',
-                    cache: 'threadshift_cache'
+                    cache: 'threadshift_cache',
+                    swaps: 'threadshift_swaps',
+                    snapshots: 'threadshift_snapshots',
+                    provenance: 'threadshift_provenance'
                 },
                 compression: false,
                 backupEnabled: true,
                 maxBackups: 5,
+                maxSnapshots: 20,
                 encryptionEnabled: false
             },
             
@@ -98,10 +102,18 @@ class ThreadshiftConfig {
                 maxTransformationDepth: 10
             },
             
+            // Zone vocabulary shared by the validator, inventory and engine
+            zones: {
+                canonical: ['hair', 'face', 'neck', 'chest', 'waist', 'butt', 'genitals', 'hands', 'legs', 'feet'],
+                aliases: {
+                    hips: 'butt'
+                }
+            },
+            
             character: {
                 autoDetectFormat: true,
                 supportedFormats: ['SillyTavern_v2', 'CharacterAI', 'Pygmalion'],
-                defaultZones: ['hair', 'face', 'neck', 'chest', 'waist', 'hips', 'genitals', 'hands', 'legs', 'feet'],
+                defaultZones: ['hair', 'face', 'neck', 'chest', 'waist', 'butt', 'genitals', 'hands', 'legs', 'feet'],
                 requireCharacterPrefix: true,
                 characterIdFormat: 'charXXXX'
             },
@@ -112,7 +124,9 @@ class ThreadshiftConfig {
                 trackOwnership: true,
                 trackHistory: true,
                 allowAnonymousGarments: false,
-                maxGarmentsPerCharacter: 1000
+                maxGarmentsPerCharacter: 1000,
+                layers: ['underwear', 'base', 'outer', 'accessory'], // innermost first
+                stackableLayers: ['accessory']
             },
             
             debug: {
@@ -337,6 +351,14 @@ class ThreadshiftConfig {
             this.data.engine.conflictResolution = 'merge';
         }
         
+        // Validate zone registry - aliases must point at a canonical zone
+        for (const [alias, zone] of Object.entries(this.data.zones.aliases)) {
+            if (this.data.zones.canonical.includes(alias) || !this.data.zones.canonical.includes(zone)) {
+                errors.push(`Invalid zone alias: ${alias} -> ${zone}`);
+                delete this.data.zones.aliases[alias];
+            }
+        }
+        
         if (errors.length > 0) {
             this.warnings = this.warnings.concat(errors.map(error => ({
                 type: 'validation',
@@ -352,14 +374,56 @@ class ThreadshiftConfig {
     async migrateConfiguration(oldVersion, newVersion) {
         console.log(`Migrating configuration from ${oldVersion} to ${newVersion}`);
         
-        // Add migration logic here as needed
-        // For now, just update the version
+        // 1.1.0: zone names come from the zone registry; rewrite aliases (hips -> butt)
+        if (this.compareVersions(oldVersion || '1.0.0', '1.1.0') < 0) {
+            const zones = this.data.character.defaultZones.map(zone => this.resolveZoneName(zone) || zone);
+            this.data.character.defaultZones = [...new Set(zones)];
+        }
+        
         this.data.version = newVersion;
         
         // Save after migration
         await this.saveToStorage();
     }
     
+    /**
+     * Compare two dotted version strings numerically
+     */
+    compareVersions(a, b) {
+        const left = String(a).split('.').map(Number);
+        const right = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+    
+    /**
+     * Get the canonical zone names
+     */
+    getCanonicalZones() {
+        return [...this.data.zones.canonical];
+    }
+    
+    /**
+     * Get zone aliases mapped to their canonical names
+     */
+    getZoneAliases() {
+        return { ...this.data.zones.aliases };
+    }
+    
+    /**
+     * Resolve a zone name or alias to its canonical name
+     * @returns {string|null} Canonical zone name, or null if the zone is unknown
+     */
+    resolveZoneName(zone) {
+        if (this.data.zones.canonical.includes(zone)) {
+            return zone;
+        }
+        return Object.prototype.hasOwnProperty.call(this.data.zones.aliases, zone) ? this.data.zones.aliases[zone] : null;
+    }
+    
     /**
      * Reset configuration to defaults
      */
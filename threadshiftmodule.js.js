@@ -411,6 +411,17 @@ class ThreadshiftModule {
         return this.config ? this.config.get(path) || defaultValue : defaultValue;
     }
     
+    /**
+     * Resolve a zone name or alias to its canonical name via the config zone registry
+     * @returns {string|null} Canonical zone name, or null if the zone is unknown
+     */
+    resolveZoneName(zone) {
+        if (this.config && typeof this.config.resolveZoneName === 'function') {
+            return this.config.resolveZoneName(zone);
+        }
+        return zone;
+    }
+    
     /**
      * Utility method to set configuration value
      */
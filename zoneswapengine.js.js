@@ -18,8 +18,11 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
         
         // Dependencies (will be injected)
         this.garmentZoneMapper = null;
+        this.garmentInventory = null;
         this.bodyMapValidator = null;
         this.reciprocalSwapHandler = null;
+        this.swapScheduler = null;
+        this.sessionManager = null;
         
         // Settings with defaults
         this.settings = {
@@ -57,8 +60,9 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
                 throw new Error('Required dependencies not available');
             }
             
-            // Initialize swap tracking
+            // Initialize swap tracking and bring back swaps saved before a reload
             this.initializeSwapTracking();
+            await this.restoreSwapLedger();
             
             // Setup event listeners
             this.setupEventListeners();
@@ -130,16 +134,25 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
         
         // Listen for cleanup events
         this.addEventListener('cleanup-requested', () => {
-            this.performCleanup();
+            this.performCleanup()
+                .catch(error => this.handleError('performCleanup', error, false));
         });
     }
     
     /**
      * Performs a validated transformation based on a garment ID
-     * @param {string} sourceCharId - Source character ID
+     * @param {string|null} sourceCharId - Source character ID (defaults to the garment's current wearer)
      * @param {string} targetCharId - Target character ID
      * @param {string} garmentId - Garment ID to base transformation on
      * @param {Object} options - Additional options
+     * @param {string} [options.mode] - Reciprocal mode: 'exchange', 'copy', 'drain', 'blend' or a registered mode
+     * @param {string} [options.conflictResolution] - Overrides engine.conflictResolution for this swap
+     * @param {Object} [options.expires] - Auto-revert after { duration: ms }, { messages: n } or { trigger: name }, whichever comes first
+     * @param {boolean} [options.dryRun=false] - Validate and stage only; returns a zone-by-zone diff instead of saving
+     * @param {Array} [options.fields] - Field-level scope, e.g. [{ zone: 'hair', fields: ['descriptor'] }] or
+     *   [{ zone: 'legs', fields: ['marks'], markTypes: ['tattoo'] }]; only the listed zones and fields are swapped
+     * @param {number} [options.stages] - Split the swap into this many steps, one zone (or scoped field) group each
+     * @param {Object} [options.advance] - Advance stages every { interval: ms } or { messages: n }; manual when omitted
      * @returns {Promise<Object>} Swap result with success status and details
      */
     async performSwap(sourceCharId, targetCharId, garmentId, options = {}) {
@@ -148,15 +161,13 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
         }
         
         return await this.safeOperation('performSwap', async () => {
-            this.stats.totalSwaps++;
-            
-            // Validate inputs
-            if (!sourceCharId || !targetCharId || !garmentId) {
-                throw new Error('Missing required parameters: sourceCharId, targetCharId, garmentId');
+            if (!options.dryRun) {
+                this.stats.totalSwaps++;
             }
             
-            if (sourceCharId === targetCharId) {
-                throw new Error('Source and target characters cannot be the same');
+            // Validate inputs
+            if (!targetCharId || !garmentId) {
+                throw new Error('Missing required parameters: targetCharId, garmentId');
             }
             
             // Get garment information
@@ -165,20 +176,40 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
                 throw new Error(`Garment not found: ${garmentId}`);
             }
             
-            // Resolve affected zones
-            const zones = await this.getZonesForGarment(garment.type);
+            // Default the source to whoever is currently wearing the garment
+            sourceCharId = sourceCharId || garment.wornBy;
+            if (!sourceCharId) {
+                throw new Error(`No source character given and garment ${garmentId} is not currently worn`);
+            }
+            
+            if (sourceCharId === targetCharId) {
+                throw new Error('Source and target characters cannot be the same');
+            }
+            
+            // Resolve affected zones - stored garments carry their own zone list
+            const zones = garment.zones && garment.zones.length > 0
+                ? this.canonicalizeZones(garment.zones)
+                : await this.getZonesForGarment(garment.type);
             if (!zones || zones.length === 0) {
-                throw new Error(`No zones found for garment type: ${garment.type}`);
+                throw new Error(`No zones found for garment: ${garmentId}`);
             }
             
             // Load character body maps
             const sourceBodyMap = await this.loadCharacterBodyMap(sourceCharId);
             const targetBodyMap = await this.loadCharacterBodyMap(targetCharId);
             
-            // Validate swap if enabled
-            if (this.settings.autoValidation && this.settings.validateTransformations) {
-                const validation = await this.validateSwap(sourceBodyMap, targetBodyMap, zones);
-                if (!validation.valid) {
+            // Validate swap if enabled - a dry run always validates so the preview can report it
+            let validation = null;
+            if (options.dryRun || (this.settings.autoValidation && this.settings.validateTransformations)) {
+                const scope = this.resolveSwapScope(zones, options);
+                validation = await this.validateSwap(
+                    sourceBodyMap,
+                    targetBodyMap,
+                    scope ? zones.filter(zone => zone in scope) : zones,
+                    options.mode,
+                    { scope, sourceCharId, targetCharId }
+                );
+                if (!validation.valid && !options.dryRun) {
                     this.stats.validationErrors++;
                     if (!this.settings.allowPartialTransformations) {
                         throw new Error(`Swap validation failed: ${validation.errors.join(', ')}`);
@@ -186,11 +217,30 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
                 }
             }
             
+            // Preview only: report what would change without saving anything
+            if (options.dryRun) {
+                return await this.previewSwap(sourceCharId, targetCharId, zones, garment, options, validation);
+            }
+            
             // Execute the swap
             const swapResult = await this.executeSwap(sourceCharId, targetCharId, zones, garment, options);
             
-            this.stats.successfulSwaps++;
-            this.fireEvent('swap-completed', swapResult);
+            if (swapResult.success) {
+                this.stats.successfulSwaps++;
+                
+                // Enough to apply the swap again, e.g. when history redoes it
+                this.fireEvent('swap-completed', {
+                    ...swapResult,
+                    sourceCharId,
+                    targetCharId,
+                    garmentId,
+                    options
+                });
+                
+                await this.recordGarmentSwaps(swapResult.swapId, [
+                    { garmentId, from: sourceCharId, to: targetCharId, zones: swapResult.zones }
+                ], options);
+            }
             
             return swapResult;
             
@@ -198,7 +248,414 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
     }
     
     /**
-     * Executes the actual swap operation
+     * Performs several garment moves as one unit, e.g. a round-robin where
+     * A's garment passes to B, B's to C and C's to A. The whole plan is
+     * validated first; every move is then computed from the same snapshot
+     * and all body maps are committed in a single write.
+     * In 'exchange' mode an open chain (A -> B -> C) is closed so the first
+     * character receives the last one's zones and nothing is lost; in 'copy'
+     * mode givers keep their zones.
+     * @param {Array|Object} plan - Moves as [{ garmentId, from, to }] or { moves: [...] }; from defaults to the wearer
+     * @param {Object} options - Batch options
+     * @param {string} [options.mode] - 'exchange' or 'copy'
+     * @param {string} [options.conflictResolution] - Overrides engine.conflictResolution; 'skip' rejects a batch touching held zones
+     * @param {boolean} [options.dryRun=false] - Validate only and return the resolved plan
+     * @returns {Promise<Object>} Batch result with success status and details
+     */
+    async performBatchSwap(plan, options = {}) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('performBatchSwap', async () => {
+            const moves = Array.isArray(plan) ? plan : plan && plan.moves;
+            const batch = await this.validateBatchPlan(moves, options);
+            
+            if (!batch.valid) {
+                return {
+                    success: false,
+                    type: 'batch',
+                    committed: false,
+                    errors: batch.errors,
+                    error: `Invalid batch plan: ${batch.errors.join('; ')}`
+                };
+            }
+            
+            if (options.dryRun) {
+                return {
+                    success: true,
+                    type: 'batch',
+                    dryRun: true,
+                    committed: false,
+                    mode: batch.mode,
+                    characters: batch.characters,
+                    zonesByCharacter: batch.zonesByCharacter,
+                    assignments: batch.assignments,
+                    cycles: batch.cycles,
+                    chains: batch.chains,
+                    conflicts: batch.conflictResolution.conflicts,
+                    dependsOn: batch.dependsOn,
+                    depth: batch.depth
+                };
+            }
+            
+            this.stats.totalSwaps++;
+            
+            const result = await this.executeBatchSwap(batch, options);
+            if (result.success) {
+                this.stats.successfulSwaps++;
+            }
+            
+            return result;
+        }, null);
+    }
+    
+    /**
+     * Validates a batch plan and resolves it into per-zone assignments.
+     * Collects every problem instead of stopping at the first one.
+     * @param {Array} moves - Moves as { garmentId, from, to }
+     * @param {Object} options - Batch options
+     * @returns {Promise<Object>} Resolved batch with valid flag and errors
+     */
+    async validateBatchPlan(moves, options = {}) {
+        const errors = [];
+        const invalid = () => ({ valid: false, errors });
+        
+        if (!Array.isArray(moves) || moves.length === 0) {
+            errors.push('Batch plan needs at least one move');
+            return invalid();
+        }
+        
+        const mode = options.mode || (this.settings.reciprocalTransformations && this.settings.bidirectionalSwaps ? 'exchange' : 'copy');
+        if (!['exchange', 'copy'].includes(mode)) {
+            errors.push(`Batch swaps support 'exchange' and 'copy' modes, not ${mode}`);
+        }
+        
+        const policy = options.conflictResolution || this.settings.conflictResolution;
+        if (!['merge', 'overwrite', 'skip'].includes(policy)) {
+            errors.push(`Invalid conflict resolution mode: ${policy}`);
+        }
+        
+        // Resolve every move to a giver, a receiver and the zones it carries
+        const resolvedMoves = [];
+        for (let i = 0; i < moves.length; i++) {
+            const move = moves[i] || {};
+            const prefix = `Move ${i + 1}`;
+            
+            if (!move.garmentId || !move.to) {
+                errors.push(`${prefix}: garmentId and to are required`);
+                continue;
+            }
+            
+            const garment = await this.getGarmentById(move.garmentId);
+            if (!garment) {
+                errors.push(`${prefix}: garment not found: ${move.garmentId}`);
+                continue;
+            }
+            
+            const from = move.from || garment.wornBy;
+            if (!from) {
+                errors.push(`${prefix}: no from character given and garment ${move.garmentId} is not currently worn`);
+                continue;
+            }
+            
+            if (from === move.to) {
+                errors.push(`${prefix}: from and to cannot be the same character`);
+                continue;
+            }
+            
+            const zones = garment.zones && garment.zones.length > 0
+                ? this.canonicalizeZones(garment.zones)
+                : await this.getZonesForGarment(garment.type);
+            if (!zones || zones.length === 0) {
+                errors.push(`${prefix}: no zones found for garment ${move.garmentId}`);
+                continue;
+            }
+            
+            resolvedMoves.push({ garmentId: move.garmentId, from, to: move.to, zones });
+        }
+        
+        // Build a per-zone graph of who passes the zone to whom
+        const edgesByZone = new Map();
+        for (const move of resolvedMoves) {
+            for (const zone of move.zones) {
+                if (!edgesByZone.has(zone)) edgesByZone.set(zone, []);
+                edgesByZone.get(zone).push(move);
+            }
+        }
+        
+        const assignments = [];
+        const cycles = [];
+        const chains = [];
+        
+        for (const [zone, edges] of edgesByZone.entries()) {
+            const next = new Map();
+            const prev = new Map();
+            let collision = false;
+            
+            for (const edge of edges) {
+                if (next.has(edge.from)) {
+                    errors.push(`Zone collision: ${edge.from}'s ${zone} is passed to both ${next.get(edge.from).to} and ${edge.to}`);
+                    collision = true;
+                }
+                if (prev.has(edge.to)) {
+                    errors.push(`Zone collision: ${edge.to} would receive ${zone} from both ${prev.get(edge.to).from} and ${edge.from}`);
+                    collision = true;
+                }
+                next.set(edge.from, edge);
+                prev.set(edge.to, edge);
+            }
+            
+            if (collision) continue;
+            
+            for (const edge of edges) {
+                assignments.push({ zone, from: edge.from, to: edge.to, garmentId: edge.garmentId, closing: false });
+            }
+            
+            // Open chains start at a character nobody passes the zone to
+            const visited = new Set();
+            for (const head of next.keys()) {
+                if (prev.has(head)) continue;
+                
+                const characters = [head];
+                let current = head;
+                while (next.has(current)) {
+                    visited.add(current);
+                    current = next.get(current).to;
+                    characters.push(current);
+                }
+                chains.push({ zone, characters });
+                
+                if (mode === 'exchange') {
+                    assignments.push({ zone, from: current, to: head, garmentId: null, closing: true });
+                }
+            }
+            
+            // Whatever is left forms closed cycles
+            for (const start of next.keys()) {
+                if (visited.has(start)) continue;
+                
+                const characters = [];
+                let current = start;
+                do {
+                    visited.add(current);
+                    characters.push(current);
+                    current = next.get(current).to;
+                } while (current !== start);
+                cycles.push({ zone, characters });
+            }
+        }
+        
+        if (errors.length > 0) {
+            return invalid();
+        }
+        
+        // Every character and the zones it receives
+        const zonesByCharacter = {};
+        for (const assignment of assignments) {
+            zonesByCharacter[assignment.to] = zonesByCharacter[assignment.to] || [];
+            zonesByCharacter[assignment.to].push(assignment.zone);
+        }
+        const characters = Array.from(new Set(resolvedMoves.flatMap(move => [move.from, move.to])));
+        characters.forEach(characterId => {
+            zonesByCharacter[characterId] = zonesByCharacter[characterId] || [];
+        });
+        
+        const bodyMaps = {};
+        for (const characterId of characters) {
+            bodyMaps[characterId] = await this.loadCharacterBodyMap(characterId);
+            if (!bodyMaps[characterId]) {
+                errors.push(`Missing body map for character: ${characterId}`);
+            }
+        }
+        
+        for (const assignment of assignments) {
+            if (bodyMaps[assignment.from] && !bodyMaps[assignment.from][assignment.zone]) {
+                errors.push(`${assignment.from} has no ${assignment.zone} zone to pass to ${assignment.to}`);
+            }
+        }
+        
+        if (errors.length > 0) {
+            return invalid();
+        }
+        
+        // Zones held by other swaps: staged swaps reserve theirs, 'skip' can't drop part of a cycle
+        const conflicts = characters.flatMap(characterId =>
+            this.findSwapConflicts([characterId], zonesByCharacter[characterId]));
+        
+        const reserved = conflicts.filter(conflict => conflict.staged);
+        if (reserved.length > 0) {
+            errors.push(`Zones reserved by staged swaps in progress: ${Array.from(new Set(reserved.map(conflict => `${conflict.characterId}.${conflict.zone}`))).join(', ')}`);
+        } else if (policy === 'skip' && conflicts.length > 0) {
+            errors.push(`Batch touches zones held by active swaps: ${conflicts.map(conflict => `${conflict.characterId}.${conflict.zone}`).join(', ')}`);
+        }
+        
+        const conflictResolution = {
+            policy,
+            conflicts,
+            skippedZones: [],
+            zones: Array.from(new Set(assignments.map(assignment => assignment.zone)))
+        };
+        
+        const { dependsOn, depth } = this.resolveSwapDependencies(conflictResolution);
+        if (depth > this.settings.maxTransformationDepth) {
+            errors.push(`Batch would reach transformation depth ${depth}, maximum is ${this.settings.maxTransformationDepth}`);
+        }
+        
+        if (errors.length > 0) {
+            return invalid();
+        }
+        
+        return {
+            valid: true,
+            errors: [],
+            mode,
+            moves: resolvedMoves,
+            characters,
+            zonesByCharacter,
+            assignments,
+            cycles,
+            chains,
+            conflictResolution,
+            dependsOn,
+            depth,
+            bodyMaps
+        };
+    }
+    
+    /**
+     * Commits a validated batch plan as one transaction and one ledger entry
+     * @param {Object} batch - Result of validateBatchPlan
+     * @param {Object} options - Batch options
+     * @returns {Promise<Object>} Batch result
+     */
+    async executeBatchSwap(batch, options = {}) {
+        const swapId = this.generateSwapId();
+        const timestamp = new Date().toISOString();
+        
+        const swapData = {
+            id: swapId,
+            type: 'batch',
+            characters: batch.characters,
+            zones: batch.conflictResolution.zones,
+            zonesByCharacter: batch.zonesByCharacter,
+            moves: batch.moves,
+            assignments: batch.assignments,
+            cycles: batch.cycles,
+            garment: null,
+            timestamp,
+            status: 'pending',
+            options,
+            mode: batch.mode,
+            scope: null,
+            sequence: this.swapCounter,
+            conflictResolution: batch.conflictResolution,
+            dependsOn: batch.dependsOn,
+            depth: batch.depth
+        };
+        
+        let commitAttempted = false;
+        let restoreLedger = null;
+        
+        try {
+            // Originals are keyed by character, so reversal restores everyone in one write
+            swapData.originalStates = {};
+            for (const characterId of batch.characters) {
+                swapData.originalStates[characterId] = this.cloneBodyMapZones(
+                    batch.bodyMaps[characterId],
+                    batch.zonesByCharacter[characterId]
+                );
+            }
+            
+            // Every assignment reads from the untouched snapshot, so moves can't chain into each other
+            const transaction = this.beginTransaction(swapId, batch.bodyMaps);
+            for (const assignment of batch.assignments) {
+                transaction.maps[assignment.to][assignment.zone] = JSON.parse(JSON.stringify(batch.bodyMaps[assignment.from][assignment.zone]));
+            }
+            
+            commitAttempted = true;
+            await this.commitTransaction(transaction);
+            
+            swapData.status = 'active';
+            swapData.progress = 1;
+            restoreLedger = this.captureLedgerState(swapData);
+            this.activeSwaps.set(swapId, swapData);
+            this.recordSupersededSwaps(swapData);
+            this.addToHistory(swapData);
+            
+            await this.persistSwapLedger();
+            
+            this.fireEvent('batch-operation', {
+                swapId,
+                type: 'batch',
+                mode: swapData.mode,
+                characters: swapData.characters,
+                zonesByCharacter: swapData.zonesByCharacter,
+                moves: swapData.moves.map(move => ({
+                    garmentId: move.garmentId,
+                    from: move.from,
+                    to: move.to,
+                    zones: move.zones
+                })),
+                cycles: swapData.cycles,
+                delta: this.buildSwapDelta(swapData, transaction.maps),
+                timestamp
+            });
+            
+            await this.recordGarmentSwaps(swapId, swapData.moves, options);
+            
+            return {
+                success: true,
+                swapId,
+                type: 'batch',
+                mode: swapData.mode,
+                characters: swapData.characters,
+                zonesByCharacter: swapData.zonesByCharacter,
+                assignments: swapData.assignments,
+                cycles: swapData.cycles,
+                conflicts: swapData.conflictResolution.conflicts,
+                dependsOn: swapData.dependsOn,
+                depth: swapData.depth,
+                committed: true,
+                rolledBack: false,
+                timestamp
+            };
+            
+        } catch (error) {
+            this.stats.failedSwaps++;
+            swapData.status = 'failed';
+            swapData.error = error.message;
+            
+            this.handleError('executeBatchSwap', error, false);
+            
+            // Unregister before rolling back, so the rollback uses this swap's own originals
+            if (restoreLedger) {
+                restoreLedger();
+                await this.persistSwapLedger();
+            }
+            
+            let rolledBack = false;
+            if (commitAttempted && swapData.originalStates) {
+                rolledBack = await this.rollbackSwap(swapData);
+                swapData.status = rolledBack ? 'rolled-back' : 'failed';
+            }
+            
+            return {
+                success: false,
+                swapId,
+                type: 'batch',
+                committed: false,
+                rolledBack,
+                error: error.message,
+                timestamp
+            };
+        }
+    }
+    
+    /**
+     * Executes the actual swap operation as a single transaction.
+     * Every zone change is staged in memory first and both body maps are
+     * committed in one storage write; any failure rolls back to originalStates.
      * @param {string} sourceCharId - Source character ID
      * @param {string} targetCharId - Target character ID
      * @param {Array} zones - Zones to swap
@@ -217,40 +674,59 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             zones: [...zones],
             garment,
             timestamp,
-            status: 'active',
+            status: 'pending',
             options,
-            reciprocal: this.settings.reciprocalTransformations && this.settings.bidirectionalSwaps
+            mode: null,
+            sequence: this.swapCounter
         };
         
+        // Staged swaps commit one step at a time
+        if (options.stages !== undefined) {
+            return await this.beginStagedSwap(swapData, options);
+        }
+        
+        let commitAttempted = false;
+        let restoreLedger = null;
+        
         try {
-            // Load current body maps
-            const sourceBodyMap = await this.loadCharacterBodyMap(sourceCharId);
-            const targetBodyMap = await this.loadCharacterBodyMap(targetCharId);
-            
-            // Store original states for potential reversal
-            swapData.originalStates = {
-                source: this.cloneBodyMapZones(sourceBodyMap, zones),
-                target: this.cloneBodyMapZones(targetBodyMap, zones)
-            };
-            
-            // Perform zone swaps
-            const swapResults = [];
-            for (const zone of zones) {
-                const zoneResult = await this.applyZoneSwap(sourceCharId, targetCharId, zone, swapId, options);
-                swapResults.push(zoneResult);
-            }
+            // Resolve the swap and stage every zone change in memory
+            const { transaction, results: swapResults } = await this.prepareSwap(swapData, options);
+            zones = swapData.zones;
             
-            // Handle reciprocal transformations
-            if (swapData.reciprocal && this.reciprocalSwapHandler) {
-                await this.reciprocalSwapHandler.handleReciprocal(swapData);
-            }
+            // Commit both body maps in a single write
+            commitAttempted = true;
+            await this.commitTransaction(transaction);
             
-            // Store active swap
+            // Only a committed swap becomes active
+            swapData.status = 'active';
+            swapData.progress = 1;
+            restoreLedger = this.captureLedgerState(swapData);
             this.activeSwaps.set(swapId, swapData);
+            this.recordSupersededSwaps(swapData);
             
             // Add to history
             this.addToHistory(swapData);
             
+            // Hand timed and conditional swaps to the scheduler
+            if (options.expires) {
+                swapData.expiry = await this.swapScheduler.schedule(swapId, options.expires);
+            }
+            
+            await this.persistSwapLedger();
+            
+            // Fire zone-specific events now that the changes are persisted
+            for (const zoneResult of swapResults) {
+                this.fireEvent('threadshift_zone_swap', {
+                    swapId,
+                    sourceCharId,
+                    targetCharId,
+                    zone: zoneResult.zone,
+                    mode: swapData.mode,
+                    sourceData: zoneResult.sourceData,
+                    targetData: zoneResult.targetData
+                });
+            }
+            
             // Fire completion events
             this.fireEvent('threadshift_swap_executed', {
                 swapId,
@@ -264,8 +740,18 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             return {
                 success: true,
                 swapId,
+                mode: swapData.mode,
                 zones,
+                scope: swapData.scope,
                 results: swapResults,
+                conflicts: swapData.conflictResolution.conflicts,
+                skippedZones: swapData.conflictResolution.skippedZones,
+                dependsOn: swapData.dependsOn,
+                depth: swapData.depth,
+                expiry: swapData.expiry || null,
+                progress: swapData.progress,
+                committed: true,
+                rolledBack: false,
                 timestamp
             };
             
@@ -276,168 +762,1601 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             
             this.handleError('executeSwap', error, false);
             
+            // Unregister before rolling back, so the rollback uses this swap's own originals
+            if (restoreLedger) {
+                if (this.swapScheduler) {
+                    try {
+                        await this.swapScheduler.cancel(swapId);
+                    } catch (cancelError) {
+                        this.handleError('executeSwap', cancelError, false);
+                    }
+                }
+                restoreLedger();
+                await this.persistSwapLedger();
+            }
+            
+            // Nothing reached storage if the commit was never attempted
+            let rolledBack = false;
+            if (commitAttempted && swapData.originalStates) {
+                rolledBack = await this.rollbackSwap(swapData);
+                swapData.status = rolledBack ? 'rolled-back' : 'failed';
+            }
+            
+            return {
+                success: false,
+                swapId,
+                committed: false,
+                rolledBack,
+                error: error.message,
+                timestamp
+            };
+        }
+    }
+    
+    /**
+     * Starts a staged swap: plans the steps, reserves the planned zones and
+     * commits the first step right away. Later steps are committed by
+     * advanceSwap, either manually or on the scheduler's interval/message count.
+     * @param {Object} swapData - New swap data
+     * @param {Object} options - Swap options with stages and optional advance
+     * @returns {Promise<Object>} Swap result with progress
+     */
+    async beginStagedSwap(swapData, options = {}) {
+        const swapId = swapData.id;
+        let restoreLedger = null;
+        let firstStepApplied = false;
+        
+        try {
+            this.resolveSwapPlan(swapData, options);
+            
+            // Taking over zones from other swaps step by step would leave them half-restored
+            if (swapData.conflictResolution.policy === 'overwrite' && swapData.conflictResolution.conflicts.length > 0) {
+                throw new Error('Staged swaps cannot overwrite active swaps; use merge or skip');
+            }
+            
+            if (options.advance) {
+                if (!this.swapScheduler) {
+                    throw new Error('Scheduled stages require the swap scheduler');
+                }
+                this.swapScheduler.validateStageAdvance(options.advance);
+            }
+            
+            // Zones and scope track what has been applied so far; staging holds the full plan
+            swapData.staging = {
+                total: options.stages,
+                completed: 0,
+                plan: this.planStages(swapData.zones, swapData.scope, options.stages),
+                zones: [...swapData.zones],
+                scope: swapData.scope,
+                advance: options.advance || null,
+                steps: []
+            };
+            swapData.zones = [];
+            swapData.scope = swapData.scope ? {} : null;
+            swapData.originalStates = { source: {}, target: {} };
+            swapData.progress = 0;
+            swapData.status = 'staging';
+            
+            restoreLedger = this.captureLedgerState(swapData);
+            this.activeSwaps.set(swapId, swapData);
+            this.addToHistory(swapData);
+            
+            const firstStep = await this.applySwapStage(swapData);
+            if (!firstStep.success) {
+                throw new Error(firstStep.error);
+            }
+            firstStepApplied = true;
+            
+            this.recordSupersededSwaps(swapData);
+            
+            if (options.advance && swapData.status === 'staging') {
+                await this.swapScheduler.scheduleStages(swapId, options.advance);
+            }
+            
+            if (options.expires) {
+                swapData.expiry = await this.swapScheduler.schedule(swapId, options.expires);
+            }
+            
+            await this.persistSwapLedger();
+            
+            this.fireEvent('staged-swap-started', {
+                swapId,
+                sourceCharId: swapData.sourceCharId,
+                targetCharId: swapData.targetCharId,
+                zones: swapData.staging.zones,
+                totalSteps: swapData.staging.total,
+                progress: swapData.progress
+            });
+            
+            return {
+                success: true,
+                swapId,
+                staged: true,
+                mode: swapData.mode,
+                zones: swapData.staging.zones,
+                scope: swapData.staging.scope,
+                totalSteps: swapData.staging.total,
+                completedSteps: swapData.staging.completed,
+                progress: swapData.progress,
+                conflicts: swapData.conflictResolution.conflicts,
+                skippedZones: swapData.conflictResolution.skippedZones,
+                dependsOn: swapData.dependsOn,
+                depth: swapData.depth,
+                expiry: swapData.expiry || null,
+                committed: true,
+                rolledBack: false,
+                timestamp: swapData.timestamp
+            };
+            
+        } catch (error) {
+            this.stats.failedSwaps++;
+            swapData.status = 'failed';
+            swapData.error = error.message;
+            
+            this.handleError('beginStagedSwap', error, false);
+            
+            if (this.swapScheduler) {
+                try {
+                    await this.swapScheduler.cancelStages(swapId);
+                    await this.swapScheduler.cancel(swapId);
+                } catch (cancelError) {
+                    this.handleError('beginStagedSwap', cancelError, false);
+                }
+            }
+            
+            // A failed first step rolls itself back; one that succeeded is undone here
+            let rolledBack = false;
+            if (firstStepApplied) {
+                rolledBack = await this.rollbackSwap(swapData);
+                swapData.status = rolledBack ? 'rolled-back' : 'failed';
+            }
+            
+            if (restoreLedger) {
+                restoreLedger();
+            }
+            await this.persistSwapLedger();
+            
             return {
                 success: false,
                 swapId,
-                error: error.message,
-                timestamp
-            };
+                staged: true,
+                committed: false,
+                rolledBack,
+                error: error.message,
+                timestamp: swapData.timestamp
+            };
+        }
+    }
+    
+    /**
+     * Splits the zones (or scoped fields) of a swap into steps
+     * @param {Array} zones - Zones of the swap
+     * @param {Object|null} scope - Field scope of the swap
+     * @param {number} stages - Number of steps
+     * @returns {Array} Steps, each a list of { zone, field, markTypes } units
+     */
+    planStages(zones, scope, stages) {
+        if (!Number.isInteger(stages) || stages < 1) {
+            throw new Error('Stages must be a positive integer');
+        }
+        
+        // Whole-zone swaps move a zone per unit; field-level swaps move a field per unit
+        const units = scope
+            ? zones.flatMap(zone => scope[zone].fields.map(field => ({
+                zone,
+                field,
+                markTypes: field === 'marks' ? scope[zone].markTypes : null
+            })))
+            : zones.map(zone => ({ zone, field: null, markTypes: null }));
+        
+        if (stages > units.length) {
+            throw new Error(`Cannot split ${units.length} ${scope ? 'fields' : 'zones'} into ${stages} stages`);
+        }
+        
+        const plan = [];
+        for (let i = 0; i < stages; i++) {
+            plan.push(units.slice(
+                Math.floor(i * units.length / stages),
+                Math.floor((i + 1) * units.length / stages)
+            ));
+        }
+        return plan;
+    }
+    
+    /**
+     * Builds the field scope of a single step
+     * @param {Array} units - Units of the step
+     * @returns {Object} Scope keyed by zone
+     */
+    buildStageScope(units) {
+        const scope = {};
+        for (const unit of units) {
+            const entry = scope[unit.zone] || (scope[unit.zone] = { fields: [], markTypes: null });
+            entry.fields.push(unit.field);
+            if (unit.markTypes) {
+                entry.markTypes = unit.markTypes;
+            }
+        }
+        return scope;
+    }
+    
+    /**
+     * Commits the next step of a staged swap and folds its original states
+     * into the swap, so reversal and cancellation restore every completed step
+     * @param {Object} swapData - Staged swap data
+     * @returns {Promise<Object>} Step result with progress
+     */
+    async applySwapStage(swapData) {
+        const staging = swapData.staging;
+        const step = staging.completed + 1;
+        const units = staging.plan[staging.completed];
+        const stepZones = Array.from(new Set(units.map(unit => unit.zone)));
+        const stepScope = staging.scope ? this.buildStageScope(units) : null;
+        
+        let stepData = null;
+        
+        try {
+            const { transaction, results, originalStates } = await this.stageZones(swapData, stepZones, stepScope, swapData.options);
+            
+            stepData = {
+                id: swapData.id,
+                sourceCharId: swapData.sourceCharId,
+                targetCharId: swapData.targetCharId,
+                zones: stepZones,
+                scope: stepScope,
+                originalStates
+            };
+            
+            await this.commitTransaction(transaction);
+            
+            // Fold this step's originals into the swap
+            for (const side of ['source', 'target']) {
+                for (const zone of stepZones) {
+                    if (!(zone in originalStates[side])) continue;
+                    swapData.originalStates[side][zone] = stepScope
+                        ? { ...(swapData.originalStates[side][zone] || {}), ...originalStates[side][zone] }
+                        : originalStates[side][zone];
+                }
+            }
+            
+            if (stepScope) {
+                for (const [zone, zoneScope] of Object.entries(stepScope)) {
+                    const applied = swapData.scope[zone] || { fields: [], markTypes: null };
+                    swapData.scope[zone] = {
+                        fields: [...applied.fields, ...zoneScope.fields],
+                        markTypes: zoneScope.markTypes || applied.markTypes
+                    };
+                }
+            }
+            
+            const appliedZones = new Set([...swapData.zones, ...stepZones]);
+            swapData.zones = staging.zones.filter(zone => appliedZones.has(zone));
+            
+            staging.completed = step;
+            staging.steps.push({
+                step,
+                zones: stepZones,
+                scope: stepScope,
+                completedAt: new Date().toISOString()
+            });
+            swapData.progress = staging.completed / staging.total;
+            
+            const completed = staging.completed === staging.total;
+            if (completed) {
+                swapData.status = 'active';
+            }
+            
+            this.updateHistoryEntry(swapData.id, swapData);
+            
+            for (const zoneResult of results) {
+                this.fireEvent('threadshift_zone_swap', {
+                    swapId: swapData.id,
+                    sourceCharId: swapData.sourceCharId,
+                    targetCharId: swapData.targetCharId,
+                    zone: zoneResult.zone,
+                    mode: swapData.mode,
+                    step,
+                    sourceData: zoneResult.sourceData,
+                    targetData: zoneResult.targetData
+                });
+            }
+            
+            this.fireEvent('swap-stage-advanced', {
+                swapId: swapData.id,
+                step,
+                totalSteps: staging.total,
+                zones: stepZones,
+                progress: swapData.progress
+            });
+            
+            if (completed) {
+                this.fireEvent('staged-swap-completed', {
+                    swapId: swapData.id,
+                    zones: swapData.zones
+                });
+            }
+            
+            return {
+                success: true,
+                swapId: swapData.id,
+                step,
+                zones: stepZones,
+                progress: swapData.progress,
+                completed
+            };
+            
+        } catch (error) {
+            this.handleError('applySwapStage', error, false);
+            
+            // Put back whatever part of this step reached storage
+            const rolledBack = stepData ? await this.rollbackSwap(stepData) : false;
+            
+            this.fireEvent('swap-stage-failed', {
+                swapId: swapData.id,
+                step,
+                error: error.message
+            });
+            
+            return {
+                success: false,
+                swapId: swapData.id,
+                step,
+                rolledBack,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Commits the next step of a staged swap
+     * @param {string} swapId - Staged swap ID
+     * @returns {Promise<Object>} Step result with progress
+     */
+    async advanceSwap(swapId) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('advanceSwap', async () => {
+            const swapData = this.getStagedSwap(swapId);
+            if (swapData.status !== 'staging') {
+                throw new Error(`Swap ${swapId} cannot advance while ${swapData.status}`);
+            }
+            
+            const result = await this.applySwapStage(swapData);
+            
+            // A step that failed to commit leaves the swap paused until it is resumed
+            if (!result.success) {
+                swapData.status = 'paused';
+                swapData.error = result.error;
+                this.updateHistoryEntry(swapId, swapData);
+            }
+            
+            await this.persistSwapLedger();
+            
+            return result;
+        }, null);
+    }
+    
+    /**
+     * Pauses a staged swap; scheduled steps wait until it is resumed
+     * @param {string} swapId - Staged swap ID
+     * @returns {Promise<Object>} Progress of the paused swap
+     */
+    async pauseSwap(swapId) {
+        const swapData = this.getStagedSwap(swapId);
+        if (swapData.status !== 'staging') {
+            throw new Error(`Swap ${swapId} cannot be paused while ${swapData.status}`);
+        }
+        
+        swapData.status = 'paused';
+        swapData.pausedAt = new Date().toISOString();
+        this.updateHistoryEntry(swapId, swapData);
+        await this.persistSwapLedger();
+        
+        this.fireEvent('swap-paused', { swapId, progress: swapData.progress });
+        return this.getSwapProgress(swapId);
+    }
+    
+    /**
+     * Resumes a paused staged swap
+     * @param {string} swapId - Staged swap ID
+     * @returns {Promise<Object>} Progress of the resumed swap
+     */
+    async resumeSwap(swapId) {
+        const swapData = this.getStagedSwap(swapId);
+        if (swapData.status !== 'paused') {
+            throw new Error(`Swap ${swapId} is not paused: ${swapData.status}`);
+        }
+        
+        swapData.status = 'staging';
+        delete swapData.pausedAt;
+        delete swapData.error;
+        this.updateHistoryEntry(swapId, swapData);
+        await this.persistSwapLedger();
+        
+        this.fireEvent('swap-resumed', { swapId, progress: swapData.progress });
+        return this.getSwapProgress(swapId);
+    }
+    
+    /**
+     * Cancels a staged swap that has not finished, rolling back every completed step
+     * @param {string} swapId - Staged swap ID
+     * @returns {Promise<Object>} Cancellation result
+     */
+    async cancelSwap(swapId) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('cancelSwap', async () => {
+            const swapData = this.getStagedSwap(swapId);
+            if (swapData.status !== 'staging' && swapData.status !== 'paused') {
+                throw new Error(`Swap ${swapId} is no longer staging; use reverseSwap instead`);
+            }
+            
+            // Zones and originals only cover completed steps, so this undoes exactly those
+            await this.restoreOriginalStates(swapData);
+            
+            swapData.status = 'cancelled';
+            swapData.cancelledAt = new Date().toISOString();
+            this.activeSwaps.delete(swapId);
+            this.updateHistoryEntry(swapId, swapData);
+            await this.persistSwapLedger();
+            
+            this.fireEvent('swap-cancelled', {
+                swapId,
+                sourceCharId: swapData.sourceCharId,
+                targetCharId: swapData.targetCharId,
+                completedSteps: swapData.staging.completed,
+                zones: swapData.zones
+            });
+            
+            return {
+                success: true,
+                swapId,
+                rolledBackSteps: swapData.staging.completed,
+                cancelledAt: swapData.cancelledAt
+            };
+        }, null);
+    }
+    
+    /**
+     * Gets the progress of a swap
+     * @param {string} swapId - Swap ID
+     * @returns {Object|null} Progress details
+     */
+    getSwapProgress(swapId) {
+        const swapData = this.activeSwaps.get(swapId) || this.swapHistory.find(entry => entry.id === swapId);
+        if (!swapData) {
+            return null;
+        }
+        
+        const staging = swapData.staging;
+        return {
+            swapId,
+            status: swapData.status,
+            progress: swapData.progress !== undefined ? swapData.progress : 1,
+            completedSteps: staging ? staging.completed : 1,
+            totalSteps: staging ? staging.total : 1,
+            appliedZones: [...swapData.zones],
+            pendingZones: staging
+                ? Array.from(new Set(staging.plan.slice(staging.completed).flat().map(unit => unit.zone)))
+                : []
+        };
+    }
+    
+    getStagedSwap(swapId) {
+        const swapData = this.activeSwaps.get(swapId);
+        if (!swapData) {
+            throw new Error(`Active swap not found: ${swapId}`);
+        }
+        
+        if (!swapData.staging) {
+            throw new Error(`Swap ${swapId} is not a staged swap`);
+        }
+        
+        return swapData;
+    }
+    
+    /**
+     * Resolves mode, conflicts and dependencies for a swap and stages every
+     * zone change in memory. Nothing is written to storage.
+     * @param {Object} swapData - Swap data; updated with the resolved swap details
+     * @param {Object} options - Swap options
+     * @returns {Promise<Object>} Staged transaction and per-zone results
+     */
+    async prepareSwap(swapData, options = {}) {
+        this.resolveSwapPlan(swapData, options);
+        
+        const { transaction, results, originalStates } = await this.stageZones(swapData, swapData.zones, swapData.scope, options);
+        
+        // Store original states for rollback and later reversal - only the scoped fields for field-level swaps
+        swapData.originalStates = originalStates;
+        
+        return { transaction, results };
+    }
+    
+    /**
+     * Resolves the mode, field scope, conflicts and dependencies of a swap
+     * @param {Object} swapData - Swap data; updated with the resolved swap details
+     * @param {Object} options - Swap options
+     */
+    resolveSwapPlan(swapData, options = {}) {
+        const { sourceCharId, targetCharId } = swapData;
+        
+        swapData.mode = this.resolveSwapMode(options);
+        
+        // Reject a bad expiry before anything is written
+        if (options.expires) {
+            if (!this.swapScheduler) {
+                throw new Error('Timed swaps require the swap scheduler');
+            }
+            this.swapScheduler.validateExpiry(options.expires);
+        }
+        
+        // Narrow field-level swaps to the scoped zones
+        swapData.scope = this.resolveSwapScope(swapData.zones, options);
+        if (swapData.scope) {
+            swapData.zones = swapData.zones.filter(zone => zone in swapData.scope);
+        }
+        
+        // Apply the conflict policy to zones already held by other active swaps
+        swapData.conflictResolution = this.resolveConflicts(sourceCharId, targetCharId, swapData.zones, options, swapData.scope);
+        swapData.zones = [...swapData.conflictResolution.zones];
+        if (swapData.scope) {
+            swapData.conflictResolution.skippedZones.forEach(zone => delete swapData.scope[zone]);
+        }
+        
+        // Link the swap to the swaps it builds on and enforce the depth limit
+        const { dependsOn, depth } = this.resolveSwapDependencies(swapData.conflictResolution);
+        if (depth > this.settings.maxTransformationDepth) {
+            throw new Error(`Swap would reach transformation depth ${depth}, maximum is ${this.settings.maxTransformationDepth}`);
+        }
+        swapData.dependsOn = dependsOn;
+        swapData.depth = depth;
+    }
+    
+    /**
+     * Loads both body maps and stages the given zones in memory
+     * @param {Object} swapData - Swap data with resolved mode
+     * @param {Array} zones - Zones to stage
+     * @param {Object|null} scope - Field scope for these zones
+     * @param {Object} options - Swap options
+     * @returns {Promise<Object>} Staged transaction, per-zone results and the original states of the staged zones
+     */
+    async stageZones(swapData, zones, scope, options = {}) {
+        const { sourceCharId, targetCharId } = swapData;
+        
+        // Load current body maps
+        const sourceBodyMap = await this.loadCharacterBodyMap(sourceCharId);
+        const targetBodyMap = await this.loadCharacterBodyMap(targetCharId);
+        
+        if (!sourceBodyMap || !targetBodyMap) {
+            throw new Error('Missing body map for character');
+        }
+        
+        // Fields can only be merged into zones both characters already have
+        if (scope) {
+            const missing = zones.filter(zone => !sourceBodyMap[zone] || !targetBodyMap[zone]);
+            if (missing.length > 0) {
+                throw new Error(`Field-level swaps need the zone on both characters: ${missing.join(', ')}`);
+            }
+        }
+        
+        const originalStates = {
+            source: this.cloneBodyMapZones(sourceBodyMap, zones, scope),
+            target: this.cloneBodyMapZones(targetBodyMap, zones, scope)
+        };
+        
+        const zoneOptions = { ...options, mode: swapData.mode, scope };
+        
+        // Stage every zone change in memory
+        const transaction = this.beginTransaction(swapData.id, {
+            [sourceCharId]: sourceBodyMap,
+            [targetCharId]: targetBodyMap
+        });
+        
+        const results = [];
+        for (const zone of zones) {
+            results.push(this.applyZoneSwap(transaction, sourceCharId, targetCharId, zone, zoneOptions));
+        }
+        
+        return { transaction, results, originalStates };
+    }
+    
+    /**
+     * Stages a swap without committing it and reports what would change
+     * @param {string} sourceCharId - Source character ID
+     * @param {string} targetCharId - Target character ID
+     * @param {Array} zones - Zones to swap
+     * @param {Object} garment - Garment information
+     * @param {Object} options - Swap options
+     * @param {Object|null} validation - Result of validateSwap, if it ran
+     * @returns {Promise<Object>} Preview with a zone-by-zone diff
+     */
+    async previewSwap(sourceCharId, targetCharId, zones, garment, options = {}, validation = null) {
+        const swapData = {
+            id: 'dry-run',
+            sourceCharId,
+            targetCharId,
+            zones: [...zones],
+            garment,
+            options,
+            mode: null
+        };
+        
+        const validationSummary = {
+            valid: validation ? validation.valid !== false : true,
+            errors: (validation && validation.errors) || [],
+            warnings: (validation && validation.warnings) || []
+        };
+        
+        try {
+            const { transaction, results } = await this.prepareSwap(swapData, options);
+            
+            const diff = results.map(zoneResult => ({
+                zone: zoneResult.zone,
+                source: this.diffZone(
+                    zoneResult.sourceData,
+                    transaction.maps[sourceCharId][zoneResult.zone]
+                ),
+                target: this.diffZone(
+                    zoneResult.targetData,
+                    transaction.maps[targetCharId][zoneResult.zone]
+                )
+            }));
+            
+            return {
+                success: true,
+                dryRun: true,
+                committed: false,
+                wouldCommit: validationSummary.valid || this.settings.allowPartialTransformations,
+                sourceCharId,
+                targetCharId,
+                garmentId: garment ? garment.id : null,
+                mode: swapData.mode,
+                zones: swapData.zones,
+                scope: swapData.scope,
+                conflicts: swapData.conflictResolution.conflicts,
+                skippedZones: swapData.conflictResolution.skippedZones,
+                dependsOn: swapData.dependsOn,
+                depth: swapData.depth,
+                diff,
+                validation: validationSummary
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                dryRun: true,
+                committed: false,
+                wouldCommit: false,
+                sourceCharId,
+                targetCharId,
+                garmentId: garment ? garment.id : null,
+                validation: validationSummary,
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Compares a zone before and after a swap, field by field
+     * @param {Object} before - Zone data before the swap
+     * @param {Object} after - Zone data after the swap
+     * @returns {Object} Zone diff with per-field before/after values
+     */
+    diffZone(before, after) {
+        // Standard body map fields first, then any extra fields either side carries
+        const fieldNames = new Set(['descriptor', 'care', 'tone', 'marks', '_plugin']);
+        for (const zoneData of [before, after]) {
+            if (zoneData && typeof zoneData === 'object') {
+                Object.keys(zoneData).forEach(field => fieldNames.add(field));
+            }
+        }
+        
+        const fields = {};
+        let changed = false;
+        
+        for (const field of fieldNames) {
+            const beforeValue = before ? before[field] : undefined;
+            const afterValue = after ? after[field] : undefined;
+            
+            // Skip fields neither side has (e.g. tone on a non-muscle zone)
+            if (beforeValue === undefined && afterValue === undefined) continue;
+            
+            const fieldChanged = JSON.stringify(beforeValue) !== JSON.stringify(afterValue);
+            fields[field] = {
+                before: beforeValue === undefined ? null : JSON.parse(JSON.stringify(beforeValue)),
+                after: afterValue === undefined ? null : JSON.parse(JSON.stringify(afterValue)),
+                changed: fieldChanged
+            };
+            changed = changed || fieldChanged;
+        }
+        
+        return {
+            changed,
+            fields
+        };
+    }
+    
+    /**
+     * Stages a zone-specific swap between two characters inside a transaction.
+     * The reciprocal handler decides what each side ends up with.
+     * @param {Object} transaction - Transaction created by beginTransaction
+     * @param {string} sourceCharId - Source character ID
+     * @param {string} targetCharId - Target character ID
+     * @param {string} zone - Body zone to swap
+     * @param {Object} options - Additional options, including the resolved mode and field scope
+     * @returns {Object} Zone swap result
+     */
+    applyZoneSwap(transaction, sourceCharId, targetCharId, zone, options = {}) {
+        const sourceBodyMap = transaction.maps[sourceCharId];
+        const targetBodyMap = transaction.maps[targetCharId];
+        
+        if (!sourceBodyMap || !targetBodyMap) {
+            throw new Error(`Body maps for ${sourceCharId} and ${targetCharId} are not part of transaction ${transaction.id}`);
+        }
+        
+        // Get zone data
+        const sourceZoneData = sourceBodyMap[zone];
+        const targetZoneData = targetBodyMap[zone];
+        
+        const { mode, source, target } = this.resolveZoneOutcome(sourceCharId, targetCharId, zone, sourceZoneData, targetZoneData, options);
+        
+        // Stage the swap
+        transaction.maps[sourceCharId] = { ...sourceBodyMap, [zone]: source };
+        transaction.maps[targetCharId] = { ...targetBodyMap, [zone]: target };
+        
+        return {
+            zone,
+            mode,
+            success: true,
+            sourceData: sourceZoneData,
+            targetData: targetZoneData
+        };
+    }
+    
+    /**
+     * Works out what each side of one zone ends up with, without staging it
+     * @param {string} sourceCharId - Source character ID
+     * @param {string} targetCharId - Target character ID
+     * @param {string} zone - Body zone to swap
+     * @param {Object} sourceZoneData - Source zone before the swap
+     * @param {Object} targetZoneData - Target zone before the swap
+     * @param {Object} options - Additional options, including the resolved mode and field scope
+     * @returns {Object} { mode, source, target } with the full zones after the swap
+     */
+    resolveZoneOutcome(sourceCharId, targetCharId, zone, sourceZoneData, targetZoneData, options = {}) {
+        // Field-level swaps only hand the scoped fields to the mode
+        const zoneScope = options.scope ? options.scope[zone] : null;
+        const sourceInput = zoneScope ? this.projectZone(sourceZoneData, zoneScope) : sourceZoneData;
+        const targetInput = zoneScope ? this.projectZone(targetZoneData, zoneScope) : targetZoneData;
+        
+        // Resolve what each side receives
+        const mode = options.mode || 'exchange';
+        const outcome = this.reciprocalSwapHandler
+            ? this.reciprocalSwapHandler.resolveZone(mode, sourceInput, targetInput, {
+                zone,
+                sourceCharId,
+                targetCharId,
+                scope: zoneScope,
+                options
+            })
+            : { source: targetInput, target: sourceInput };
+        
+        // Leave fields outside the scope untouched
+        return {
+            mode,
+            source: zoneScope ? this.mergeZone(sourceZoneData, outcome.source, zoneScope) : outcome.source,
+            target: zoneScope ? this.mergeZone(targetZoneData, outcome.target, zoneScope) : outcome.target
+        };
+    }
+    
+    /**
+     * Finds zones of a new swap that are already part of other active swaps.
+     * A conflict is a character/zone pair held by both swaps; field-level
+     * swaps only conflict when their fields overlap.
+     * @param {Array} characterIds - Characters taking part in the new swap
+     * @param {Array} zones - Zones of the new swap
+     * @param {Object|null} scope - Field scope of the new swap
+     * @returns {Array} Conflicts as { swapId, characterId, zone, covered, staged }
+     */
+    findSwapConflicts(characterIds, zones, scope = null) {
+        const conflicts = [];
+        
+        for (const [swapId, swapData] of this.activeSwaps.entries()) {
+            if (!['active', 'staging', 'paused'].includes(swapData.status)) continue;
+            
+            // Staged swaps in progress hold every zone they plan to change
+            const staged = swapData.status !== 'active';
+            const heldScope = staged ? swapData.staging.scope : swapData.scope;
+            
+            for (const characterId of characterIds) {
+                const side = this.getSwapSide(swapData, characterId);
+                if (!side) continue;
+                
+                const heldZones = staged ? swapData.staging.zones : this.getHeldZones(swapData, side);
+                
+                for (const zone of zones) {
+                    if (!heldZones.includes(zone)) continue;
+                    
+                    const earlierScope = heldScope ? heldScope[zone] : null;
+                    const newScope = scope ? scope[zone] : null;
+                    if (!this.scopesOverlap(earlierScope, newScope)) continue;
+                    
+                    // covered: the new swap replaces everything the earlier one changed in this zone
+                    conflicts.push({
+                        swapId,
+                        characterId,
+                        zone,
+                        covered: this.scopeCovers(newScope, earlierScope),
+                        staged
+                    });
+                }
+            }
+        }
+        
+        return conflicts;
+    }
+    
+    /**
+     * Applies the conflict resolution policy to a new swap
+     * @param {string} sourceCharId - Source character ID
+     * @param {string} targetCharId - Target character ID
+     * @param {Array} zones - Requested zones
+     * @param {Object} options - Swap options
+     * @param {Object|null} scope - Field scope of the new swap
+     * @returns {Object} Policy, conflicts, skipped zones and the zones left to swap
+     */
+    resolveConflicts(sourceCharId, targetCharId, zones, options = {}, scope = null) {
+        const policy = options.conflictResolution || this.settings.conflictResolution;
+        if (!['merge', 'overwrite', 'skip'].includes(policy)) {
+            throw new Error(`Invalid conflict resolution mode: ${policy}`);
+        }
+        
+        const conflicts = this.findSwapConflicts([sourceCharId, targetCharId], zones, scope);
+        const conflictingZones = new Set(conflicts.map(conflict => conflict.zone));
+        
+        // Zones reserved by a staged swap in progress can only be skipped
+        const reserved = conflicts.filter(conflict => conflict.staged);
+        if (policy !== 'skip' && reserved.length > 0) {
+            throw new Error(`Zones reserved by staged swaps in progress: ${Array.from(new Set(reserved.map(conflict => conflict.zone))).join(', ')}`);
+        }
+        
+        let remainingZones = [...zones];
+        let skippedZones = [];
+        
+        if (policy === 'skip' && conflictingZones.size > 0) {
+            skippedZones = zones.filter(zone => conflictingZones.has(zone));
+            remainingZones = zones.filter(zone => !conflictingZones.has(zone));
+            
+            if (remainingZones.length === 0) {
+                throw new Error(`All zones are already part of active swaps: ${skippedZones.join(', ')}`);
+            }
+        }
+        
+        return {
+            policy,
+            conflicts: policy === 'skip' ? [] : conflicts,
+            skippedZones,
+            zones: remainingZones
+        };
+    }
+    
+    /**
+     * Records which earlier swaps a committed swap superseded.
+     * With 'overwrite' the new swap takes over the earlier swap's original
+     * states for the shared zones, so reversing it restores what was there
+     * before either swap; the earlier swap releases those zones. This needs
+     * the new swap's fields to cover the earlier swap's - otherwise, and
+     * with 'merge', the earlier swap keeps its zones and the newer swap is
+     * recorded as depending on it.
+     * @param {Object} swapData - Newly committed swap
+     */
+    recordSupersededSwaps(swapData) {
+        const { policy, conflicts } = swapData.conflictResolution;
+        const timestamp = new Date().toISOString();
+        
+        for (const conflict of conflicts) {
+            const earlierSwap = this.activeSwaps.get(conflict.swapId);
+            if (!earlierSwap) continue;
+            
+            const earlierSide = this.getSwapSide(earlierSwap, conflict.characterId);
+            const newSide = this.getSwapSide(swapData, conflict.characterId);
+            
+            if (policy === 'overwrite' && conflict.covered) {
+                const earlierOriginals = earlierSwap.originalStates[earlierSide];
+                const earlierScope = earlierSwap.scope ? earlierSwap.scope[conflict.zone] : null;
+                if (conflict.zone in earlierOriginals) {
+                    swapData.originalStates[newSide][conflict.zone] = earlierScope
+                        ? this.mergeZone(swapData.originalStates[newSide][conflict.zone], earlierOriginals[conflict.zone], earlierScope)
+                        : earlierOriginals[conflict.zone];
+                } else {
+                    delete swapData.originalStates[newSide][conflict.zone];
+                }
+                
+                earlierSwap.releasedZones = earlierSwap.releasedZones || {};
+                earlierSwap.releasedZones[earlierSide] = earlierSwap.releasedZones[earlierSide] || [];
+                earlierSwap.releasedZones[earlierSide].push(conflict.zone);
+                delete earlierOriginals[conflict.zone];
+            }
+            
+            earlierSwap.supersededBy = earlierSwap.supersededBy || [];
+            earlierSwap.supersededBy.push({
+                swapId: swapData.id,
+                policy,
+                characterId: conflict.characterId,
+                zone: conflict.zone,
+                timestamp
+            });
+        }
+        
+        // Earlier swaps that released every zone are fully superseded
+        for (const swapId of new Set(conflicts.map(conflict => conflict.swapId))) {
+            const earlierSwap = this.activeSwaps.get(swapId);
+            if (!earlierSwap) continue;
+            
+            if (this.getSwapSides(earlierSwap).every(side => this.getHeldZones(earlierSwap, side).length === 0)) {
+                earlierSwap.status = 'superseded';
+                earlierSwap.supersededAt = timestamp;
+                this.activeSwaps.delete(swapId);
+                this.fireEvent('swap-superseded', { swapId, supersededBy: swapData.id });
+            }
+            
+            this.updateHistoryEntry(swapId, earlierSwap);
+        }
+    }
+    
+    /**
+     * Captures the ledger state a new swap is about to change: the active
+     * swaps, the history, and the superseded markings, released zones and
+     * originals of the earlier swaps it conflicts with. The returned function
+     * puts all of it back, for a swap that fails after it was registered.
+     * @param {Object} swapData - Swap about to be registered
+     * @returns {Function} Restores the captured state
+     */
+    captureLedgerState(swapData) {
+        const copySides = states => (states
+            ? Object.fromEntries(Object.entries(states).map(([side, zones]) => [side, { ...zones }]))
+            : states);
+        
+        const activeSwaps = new Map(this.activeSwaps);
+        const swapHistory = [...this.swapHistory];
+        const originalStates = copySides(swapData.originalStates);
+        
+        const conflicts = swapData.conflictResolution ? swapData.conflictResolution.conflicts : [];
+        const earlierSwaps = [...new Set(conflicts.map(conflict => conflict.swapId))]
+            .map(swapId => this.activeSwaps.get(swapId))
+            .filter(Boolean)
+            .map(earlierSwap => ({
+                earlierSwap,
+                fields: {
+                    status: earlierSwap.status,
+                    supersededAt: earlierSwap.supersededAt,
+                    supersededBy: earlierSwap.supersededBy ? [...earlierSwap.supersededBy] : undefined,
+                    releasedZones: earlierSwap.releasedZones ? JSON.parse(JSON.stringify(earlierSwap.releasedZones)) : undefined,
+                    originalStates: copySides(earlierSwap.originalStates)
+                }
+            }));
+        
+        return () => {
+            this.activeSwaps.clear();
+            activeSwaps.forEach((data, swapId) => this.activeSwaps.set(swapId, data));
+            this.swapHistory = swapHistory;
+            swapData.originalStates = originalStates;
+            
+            for (const { earlierSwap, fields } of earlierSwaps) {
+                for (const [field, value] of Object.entries(fields)) {
+                    if (value === undefined) {
+                        delete earlierSwap[field];
+                    } else {
+                        earlierSwap[field] = value;
+                    }
+                }
+            }
+        };
+    }
+    
+    /**
+     * Builds the dependency links of a new swap.
+     * A merged swap depends on the earlier swaps it was stacked on, as does an
+     * overwrite that only replaced part of an earlier swap's fields; its depth
+     * is one more than the deepest earlier swap it touched under any policy.
+     * @param {Object} conflictResolution - Result of resolveConflicts
+     * @returns {Object} { dependsOn, depth }
+     */
+    resolveSwapDependencies(conflictResolution) {
+        const earlierIds = new Set(conflictResolution.conflicts.map(conflict => conflict.swapId));
+        
+        let depth = 1;
+        for (const swapId of earlierIds) {
+            const earlierSwap = this.activeSwaps.get(swapId);
+            depth = Math.max(depth, (earlierSwap.depth || 1) + 1);
+        }
+        
+        const dependsOn = new Set(conflictResolution.conflicts
+            .filter(conflict => conflictResolution.policy === 'merge' || !conflict.covered)
+            .map(conflict => conflict.swapId));
+        
+        return {
+            dependsOn: Array.from(dependsOn),
+            depth
+        };
+    }
+    
+    /**
+     * Gets active swaps that directly depend on a swap
+     * @param {string} swapId - Swap ID
+     * @returns {Array} Dependent swap IDs
+     */
+    getDependentSwaps(swapId) {
+        const dependents = [];
+        for (const [id, swapData] of this.activeSwaps.entries()) {
+            if ((swapData.dependsOn || []).includes(swapId)) {
+                dependents.push(id);
+            }
+        }
+        return dependents;
+    }
+    
+    /**
+     * Gets every active swap that depends on a swap, directly or through
+     * other swaps, newest first - the order a cascade reversal must follow
+     * @param {string} swapId - Swap ID
+     * @returns {Array} Dependent swap IDs
+     */
+    getSwapChain(swapId) {
+        const chain = new Set();
+        const pending = [swapId];
+        
+        while (pending.length > 0) {
+            for (const dependentId of this.getDependentSwaps(pending.pop())) {
+                if (!chain.has(dependentId)) {
+                    chain.add(dependentId);
+                    pending.push(dependentId);
+                }
+            }
+        }
+        
+        return Array.from(chain).sort((a, b) =>
+            this.activeSwaps.get(b).sequence - this.activeSwaps.get(a).sequence);
+    }
+    
+    /**
+     * Gets the dependency graph around a swap
+     * @param {string} swapId - Swap ID
+     * @returns {Object|null} Depth, direct dependencies and dependents
+     */
+    getSwapDependencies(swapId) {
+        const swapData = this.activeSwaps.get(swapId) || this.swapHistory.find(entry => entry.id === swapId);
+        if (!swapData) {
+            return null;
+        }
+        
+        return {
+            swapId,
+            depth: swapData.depth || 1,
+            dependsOn: [...(swapData.dependsOn || [])],
+            dependents: this.getDependentSwaps(swapId),
+            chain: this.getSwapChain(swapId)
+        };
+    }
+    
+    /**
+     * Gets which side of a swap a character was on.
+     * Batch swaps key their sides by character ID.
+     * @param {Object} swapData - Swap data
+     * @param {string} characterId - Character ID
+     * @returns {string|null} 'source', 'target', a batch character ID or null
+     */
+    getSwapSide(swapData, characterId) {
+        if (swapData.type === 'batch') {
+            return swapData.characters.includes(characterId) ? characterId : null;
+        }
+        if (swapData.sourceCharId === characterId) return 'source';
+        if (swapData.targetCharId === characterId) return 'target';
+        return null;
+    }
+    
+    /**
+     * Gets every side of a swap
+     * @param {Object} swapData - Swap data
+     * @returns {Array} Side keys
+     */
+    getSwapSides(swapData) {
+        return swapData.type === 'batch' ? [...swapData.characters] : ['source', 'target'];
+    }
+    
+    /**
+     * Gets the character on one side of a swap
+     * @param {Object} swapData - Swap data
+     * @param {string} side - Side key
+     * @returns {string} Character ID
+     */
+    getSideCharacter(swapData, side) {
+        if (swapData.type === 'batch') return side;
+        return side === 'source' ? swapData.sourceCharId : swapData.targetCharId;
+    }
+    
+    /**
+     * Gets the zones a swap still holds for one side
+     * @param {Object} swapData - Swap data
+     * @param {string} side - Side key
+     * @returns {Array} Zone names
+     */
+    getHeldZones(swapData, side) {
+        const zones = swapData.type === 'batch' ? (swapData.zonesByCharacter[side] || []) : swapData.zones;
+        const released = (swapData.releasedZones && swapData.releasedZones[side]) || [];
+        return zones.filter(zone => !released.includes(zone));
+    }
+    
+    /**
+     * Gets the original states a swap would restore, per character
+     * @param {Object} swapData - Swap data with originalStates
+     * @returns {Array} Entries of { characterId, originals, zones }
+     */
+    getOriginalsByCharacter(swapData) {
+        return this.getSwapSides(swapData).map(side => ({
+            characterId: this.getSideCharacter(swapData, side),
+            originals: swapData.originalStates[side] || {},
+            zones: this.getHeldZones(swapData, side)
+        }));
+    }
+    
+    /**
+     * Resolves the reciprocal mode for a swap
+     * @param {Object} options - Swap options
+     * @returns {string} Mode name
+     */
+    resolveSwapMode(options = {}) {
+        const defaultMode = this.settings.reciprocalTransformations && this.settings.bidirectionalSwaps
+            ? 'exchange'
+            : 'copy';
+        const mode = options.mode || defaultMode;
+        
+        if (this.reciprocalSwapHandler) {
+            if (!this.reciprocalSwapHandler.hasMode(mode)) {
+                throw new Error(`Unknown reciprocal mode: ${mode}`);
+            }
+        } else if (mode !== 'exchange') {
+            throw new Error(`Reciprocal mode ${mode} requires the reciprocal swap handler`);
+        }
+        
+        return mode;
+    }
+    
+    /**
+     * Starts an in-memory transaction over a set of body maps
+     * @param {string} transactionId - Transaction ID (usually the swap ID)
+     * @param {Object} bodyMaps - Body maps keyed by character ID
+     * @returns {Object} Transaction holding staged copies of the maps
+     */
+    beginTransaction(transactionId, bodyMaps) {
+        const maps = {};
+        for (const [characterId, bodyMap] of Object.entries(bodyMaps)) {
+            maps[characterId] = { ...bodyMap };
+        }
+        
+        return {
+            id: transactionId,
+            maps
+        };
+    }
+    
+    /**
+     * Commits every staged body map of a transaction in one storage write
+     * @param {Object} transaction - Transaction to commit
+     * @returns {Promise<boolean>} Success status
+     */
+    async commitTransaction(transaction) {
+        const success = await this.saveCharacterBodyMaps(transaction.maps);
+        if (!success) {
+            throw new Error(`Failed to commit transaction ${transaction.id}`);
+        }
+        return true;
+    }
+    
+    /**
+     * Restores the original zone states recorded for a swap in one storage write
+     * @param {Object} swapData - Swap data with originalStates
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreOriginalStates(swapData) {
+        const bodyMaps = {};
+        for (const { characterId, originals, zones } of this.getOriginalsByCharacter(swapData)) {
+            const bodyMap = await this.loadCharacterBodyMap(characterId);
+            bodyMaps[characterId] = this.applyOriginalZones(bodyMap, originals, zones, swapData.scope);
+        }
+        
+        const transaction = this.beginTransaction(`restore_${swapData.id}`, bodyMaps);
+        
+        return await this.commitTransaction(transaction);
+    }
+    
+    /**
+     * Puts original zone data back onto a body map.
+     * Zones that did not exist before the swap are removed again, since
+     * copy and drain modes can hand a character a zone it never had.
+     * Field-level swaps only put back the scoped fields.
+     * @param {Object} bodyMap - Current body map
+     * @param {Object} originals - Original zone data
+     * @param {Array} zones - Zones touched by the swap
+     * @param {Object|null} scope - Field scope of the swap
+     * @returns {Object} Restored body map
+     */
+    applyOriginalZones(bodyMap, originals, zones, scope = null) {
+        const restored = { ...bodyMap };
+        for (const zone of zones) {
+            if (scope && scope[zone]) {
+                restored[zone] = this.mergeZone(restored[zone], originals && originals[zone], scope[zone]);
+            } else if (originals && zone in originals) {
+                restored[zone] = originals[zone];
+            } else {
+                delete restored[zone];
+            }
+        }
+        return restored;
+    }
+    
+    /**
+     * Rolls a failed swap back to its original states
+     * @param {Object} swapData - Swap data with originalStates
+     * @returns {Promise<boolean>} True if the rollback was written
+     */
+    async rollbackSwap(swapData) {
+        try {
+            await this.restoreOriginalStates(swapData);
+            swapData.rolledBackAt = new Date().toISOString();
+            
+            this.fireEvent('swap-rolled-back', {
+                swapId: swapData.id,
+                sourceCharId: swapData.sourceCharId,
+                targetCharId: swapData.targetCharId,
+                zones: swapData.zones
+            });
+            
+            return true;
+        } catch (error) {
+            this.handleError('rollbackSwap', error, false);
+            return false;
+        }
+    }
+    
+    /**
+     * Reverses a previous swap operation
+     * @param {string} swapId - ID of swap to reverse
+     * @param {Object} options - Reversal options
+     * @param {boolean} [options.cascade=false] - Also reverse later swaps that depend on this one
+     * @returns {Promise<Object>} Reversal result
+     */
+    async reverseSwap(swapId, options = {}) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('reverseSwap', async () => {
+            const swapData = this.activeSwaps.get(swapId);
+            if (!swapData) {
+                throw new Error(`Active swap not found: ${swapId}`);
+            }
+            
+            if (swapData.status !== 'active') {
+                throw new Error(`Swap ${swapId} is not in active state: ${swapData.status}`);
+            }
+            
+            if (!swapData.originalStates) {
+                throw new Error(`No original states stored for swap ${swapId}`);
+            }
+            
+            // Reversing under a dependent swap would restore stale data over it
+            const dependents = this.getSwapChain(swapId);
+            if (dependents.length > 0 && !options.cascade) {
+                return {
+                    success: false,
+                    swapId,
+                    requiresCascade: true,
+                    dependents,
+                    error: `Swap ${swapId} has active dependent swaps: ${dependents.join(', ')}. Reverse those first or pass { cascade: true }`
+                };
+            }
+            
+            // Newest dependents first, so every swap restores onto the state it was applied to
+            const cascaded = [];
+            for (const dependentId of dependents) {
+                const dependentResult = await this.reverseSwapData(this.activeSwaps.get(dependentId));
+                if (!dependentResult.success) {
+                    return {
+                        success: false,
+                        swapId,
+                        cascaded,
+                        error: `Cascade stopped at ${dependentId}: ${dependentResult.error}`
+                    };
+                }
+                cascaded.push(dependentId);
+            }
+            
+            const result = await this.reverseSwapData(swapData);
+            return cascaded.length > 0 ? { ...result, cascaded } : result;
+        }, null);
+    }
+    
+    /**
+     * Applies a finished swap again with the same characters, garment and
+     * options. Batch swaps re-run their resolved moves.
+     * @param {string} swapId - ID of a reversed, cancelled or undone swap
+     * @returns {Promise<Object>} Result of the new swap, with reappliedFrom set
+     */
+    async reapplySwap(swapId) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('reapplySwap', async () => {
+            if (this.activeSwaps.has(swapId)) {
+                throw new Error(`Swap ${swapId} is still active`);
+            }
+            
+            const swapData = this.swapHistory.find(entry => entry.id === swapId);
+            if (!swapData) {
+                throw new Error(`Swap not found in history: ${swapId}`);
+            }
+            
+            const options = { ...(swapData.options || {}), mode: swapData.mode };
+            const result = swapData.type === 'batch'
+                ? await this.performBatchSwap(swapData.moves.map(({ garmentId, from, to }) => ({ garmentId, from, to })), options)
+                : await this.performSwap(swapData.sourceCharId, swapData.targetCharId, swapData.garment && swapData.garment.id, options);
+            
+            if (!result) {
+                return { success: false, reappliedFrom: swapId, error: `Failed to reapply swap ${swapId}` };
+            }
+            
+            return { ...result, reappliedFrom: swapId };
+        }, null);
+    }
+    
+    /**
+     * Writes one side of a recorded body-map delta back in a single storage
+     * write. Used to undo and redo batch and manual history entries.
+     * Refuses to write when the maps no longer match the other side of the
+     * delta, so an undo never silently clobbers later changes.
+     * @param {Object} delta - Zone changes as { characterId: { zone: { before, after } } }; a missing side means the zone did not exist
+     * @param {string} direction - 'before' to undo, 'after' to redo
+     * @param {Object} options - Replay options
+     * @param {string} [options.swapId] - Ledger swap the delta belongs to; it leaves the active set on undo and returns on redo
+     * @param {boolean} [options.force=false] - Write even if the current maps have drifted
+     * @returns {Promise<Object>} Replay result
+     */
+    async replayDelta(delta, direction, options = {}) {
+        if (!this.isReady()) {
+            throw new Error('ZoneSwapEngine not ready');
+        }
+        
+        return await this.safeOperation('replayDelta', async () => {
+            if (direction !== 'before' && direction !== 'after') {
+                throw new Error(`Invalid delta direction: ${direction}`);
+            }
+            
+            if (!delta || typeof delta !== 'object' || Object.keys(delta).length === 0) {
+                throw new Error('Delta has no zone changes');
+            }
+            
+            const current = direction === 'before' ? 'after' : 'before';
+            const bodyMaps = {};
+            const drifted = [];
+            
+            for (const [characterId, zones] of Object.entries(delta)) {
+                const bodyMap = await this.loadCharacterBodyMap(characterId) || {};
+                const replayed = { ...bodyMap };
+                
+                for (const [zone, change] of Object.entries(zones)) {
+                    if (JSON.stringify(bodyMap[zone]) !== JSON.stringify(change[current])) {
+                        drifted.push(`${characterId}.${zone}`);
+                    }
+                    
+                    if (change[direction] === undefined) {
+                        delete replayed[zone];
+                    } else {
+                        replayed[zone] = JSON.parse(JSON.stringify(change[direction]));
+                    }
+                }
+                
+                bodyMaps[characterId] = replayed;
+            }
+            
+            if (drifted.length > 0 && !options.force) {
+                return {
+                    success: false,
+                    direction,
+                    drifted,
+                    error: `Body maps changed since the delta was recorded: ${drifted.join(', ')}`
+                };
+            }
+            
+            // Keep the ledger in step with the maps
+            const swapId = options.swapId;
+            if (swapId && direction === 'before' && this.activeSwaps.has(swapId)) {
+                const dependents = this.getSwapChain(swapId);
+                if (dependents.length > 0) {
+                    return {
+                        success: false,
+                        direction,
+                        swapId,
+                        dependents,
+                        error: `Swap ${swapId} has active dependent swaps: ${dependents.join(', ')}`
+                    };
+                }
+            }
+            
+            const transaction = this.beginTransaction(`replay_${direction}_${Date.now()}`, bodyMaps);
+            await this.commitTransaction(transaction);
+            
+            if (swapId) {
+                // The active swap and its history entry can be separate copies; keep both in step
+                const swapData = this.activeSwaps.get(swapId) || this.swapHistory.find(entry => entry.id === swapId);
+                if (swapData && direction === 'before' && swapData.status === 'active') {
+                    swapData.status = 'undone';
+                    swapData.undoneAt = new Date().toISOString();
+                    this.activeSwaps.delete(swapId);
+                    this.updateHistoryEntry(swapId, { status: swapData.status, undoneAt: swapData.undoneAt });
+                } else if (swapData && direction === 'after' && swapData.status === 'undone') {
+                    swapData.status = 'active';
+                    delete swapData.undoneAt;
+                    this.activeSwaps.set(swapId, swapData);
+                    this.updateHistoryEntry(swapId, swapData);
+                }
+                await this.persistSwapLedger();
+            }
+            
+            this.fireEvent('delta-replayed', {
+                swapId: swapId || null,
+                direction,
+                characters: Object.keys(delta),
+                forced: drifted.length > 0
+            });
+            
+            return {
+                success: true,
+                direction,
+                swapId: swapId || null,
+                characters: Object.keys(delta),
+                drifted
+            };
+        }, null);
+    }
+    
+    /**
+     * Builds a replayable delta from a swap's originals and the committed maps
+     * @param {Object} swapData - Swap data with originalStates
+     * @param {Object} bodyMaps - Committed body maps keyed by character ID
+     * @returns {Object} Delta as { characterId: { zone: { before, after } } }
+     */
+    buildSwapDelta(swapData, bodyMaps) {
+        const delta = {};
+        for (const { characterId, originals, zones } of this.getOriginalsByCharacter(swapData)) {
+            for (const zone of zones) {
+                delta[characterId] = delta[characterId] || {};
+                delta[characterId][zone] = {
+                    before: originals ? originals[zone] : undefined,
+                    after: bodyMaps[characterId] ? bodyMaps[characterId][zone] : undefined
+                };
+            }
+        }
+        return JSON.parse(JSON.stringify(delta));
+    }
+    
+    /**
+     * Reverts a timed or conditional swap once its expiry condition is met.
+     * Dependent swaps built on top of it are reverted with it.
+     * @param {string} swapId - ID of the expiring swap
+     * @param {string} reason - What triggered the expiry: 'duration', 'messages' or 'trigger:<name>'
+     * @returns {Promise<Object>} Reversal result
+     */
+    async expireSwap(swapId, reason) {
+        // A staged swap that has not finished is cancelled instead
+        const swapData = this.activeSwaps.get(swapId);
+        const result = swapData && swapData.staging && swapData.status !== 'active'
+            ? await this.cancelSwap(swapId)
+            : await this.reverseSwap(swapId, { cascade: true });
+        
+        if (result && result.success) {
+            this.updateHistoryEntry(swapId, {
+                expiredAt: result.reversedAt || result.cancelledAt,
+                expiryReason: reason
+            });
+            await this.persistSwapLedger();
+            
+            this.fireEvent('swap-expired', {
+                swapId,
+                reason,
+                cascaded: result.cascaded || []
+            });
         }
+        
+        return result;
     }
     
     /**
-     * Applies a zone-specific swap between two characters
-     * @param {string} sourceCharId - Source character ID
-     * @param {string} targetCharId - Target character ID
-     * @param {string} zone - Body zone to swap
-     * @param {string} swapId - Swap operation ID
-     * @param {Object} options - Additional options
-     * @returns {Promise<Object>} Zone swap result
+     * Restores a single active swap and updates the ledger
+     * @param {Object} swapData - Active swap data
+     * @returns {Promise<Object>} Reversal result
      */
-    async applyZoneSwap(sourceCharId, targetCharId, zone, swapId, options = {}) {
+    async reverseSwapData(swapData) {
+        const swapId = swapData.id;
+        
         try {
-            // Load current body maps
-            const sourceBodyMap = await this.loadCharacterBodyMap(sourceCharId);
-            const targetBodyMap = await this.loadCharacterBodyMap(targetCharId);
+            // Restore original states of both characters in one write
+            await this.restoreOriginalStates(swapData);
             
-            if (!sourceBodyMap || !targetBodyMap) {
-                throw new Error(`Missing body map for character`);
-            }
+            // Update swap status
+            swapData.status = 'reversed';
+            swapData.reversedAt = new Date().toISOString();
             
-            // Get zone data
-            const sourceZoneData = sourceBodyMap[zone];
-            const targetZoneData = targetBodyMap[zone];
+            // Remove from active swaps
+            this.activeSwaps.delete(swapId);
             
-            // Perform the swap
-            const updatedSourceMap = { ...sourceBodyMap, [zone]: targetZoneData };
-            const updatedTargetMap = { ...targetBodyMap, [zone]: sourceZoneData };
+            // Update history
+            this.updateHistoryEntry(swapId, swapData);
+            await this.persistSwapLedger();
             
-            // Save updated body maps
-            await this.saveCharacterBodyMap(sourceCharId, updatedSourceMap);
-            await this.saveCharacterBodyMap(targetCharId, updatedTargetMap);
+            this.stats.reversedSwaps++;
             
-            // Fire zone-specific event
-            this.fireEvent('threadshift_zone_swap', {
+            this.fireEvent('swap-reversed', {
                 swapId,
-                sourceCharId,
-                targetCharId,
-                zone,
-                sourceData: sourceZoneData,
-                targetData: targetZoneData
+                type: swapData.type || 'swap',
+                sourceCharId: swapData.sourceCharId,
+                targetCharId: swapData.targetCharId,
+                characters: swapData.characters || [swapData.sourceCharId, swapData.targetCharId],
+                zones: swapData.zones,
+                mode: swapData.mode
             });
             
             return {
-                zone,
                 success: true,
-                sourceData: sourceZoneData,
-                targetData: targetZoneData
+                swapId,
+                reversedAt: swapData.reversedAt
             };
             
         } catch (error) {
-            this.handleError('applyZoneSwap', error, false);
+            this.handleError('reverseSwap', error, false);
             return {
-                zone,
                 success: false,
+                swapId,
                 error: error.message
             };
         }
     }
     
-    /**
-     * Reverses a previous swap operation
-     * @param {string} swapId - ID of swap to reverse
-     * @returns {Promise<Object>} Reversal result
-     */
-    async reverseSwap(swapId) {
-        if (!this.isReady()) {
-            throw new Error('ZoneSwapEngine not ready');
-        }
-        
-        return await this.safeOperation('reverseSwap', async () => {
-            const swapData = this.activeSwaps.get(swapId);
-            if (!swapData) {
-                throw new Error(`Active swap not found: ${swapId}`);
-            }
-            
-            if (swapData.status !== 'active') {
-                throw new Error(`Swap ${swapId} is not in active state: ${swapData.status}`);
-            }
-            
-            if (!swapData.originalStates) {
-                throw new Error(`No original states stored for swap ${swapId}`);
-            }
-            
-            try {
-                // Restore original states
-                const sourceBodyMap = await this.loadCharacterBodyMap(swapData.sourceCharId);
-                const targetBodyMap = await this.loadCharacterBodyMap(swapData.targetCharId);
-                
-                // Restore source zones
-                const restoredSourceMap = {
-                    ...sourceBodyMap,
-                    ...swapData.originalStates.source
-                };
-                
-                // Restore target zones
-                const restoredTargetMap = {
-                    ...targetBodyMap,
-                    ...swapData.originalStates.target
-                };
-                
-                // Save restored maps
-                await this.saveCharacterBodyMap(swapData.sourceCharId, restoredSourceMap);
-                await this.saveCharacterBodyMap(swapData.targetCharId, restoredTargetMap);
-                
-                // Update swap status
-                swapData.status = 'reversed';
-                swapData.reversedAt = new Date().toISOString();
-                
-                // Remove from active swaps
-                this.activeSwaps.delete(swapId);
-                
-                // Update history
-                this.updateHistoryEntry(swapId, swapData);
-                
-                this.stats.reversedSwaps++;
-                
-                this.fireEvent('swap-reversed', {
-                    swapId,
-                    sourceCharId: swapData.sourceCharId,
-                    targetCharId: swapData.targetCharId,
-                    zones: swapData.zones
-                });
-                
-                return {
-                    success: true,
-                    swapId,
-                    reversedAt: swapData.reversedAt
-                };
-                
-            } catch (error) {
-                this.handleError('reverseSwap', error, false);
-                return {
-                    success: false,
-                    swapId,
-                    error: error.message
-                };
-            }
-        }, null);
-    }
-    
     /**
      * Validates a potential swap operation
      * @param {Object} sourceBodyMap - Source character body map
      * @param {Object} targetBodyMap - Target character body map
      * @param {Array} zones - Zones to validate
+     * @param {string} [mode] - Swap mode the post-swap maps are simulated with
+     * @param {Object} [options] - { scope, sourceCharId, targetCharId } of the swap being validated
      * @returns {Promise<Object>} Validation result
      */
-    async validateSwap(sourceBodyMap, targetBodyMap, zones) {
+    async validateSwap(sourceBodyMap, targetBodyMap, zones, mode, options = {}) {
         if (!this.bodyMapValidator) {
             return { valid: true, warnings: ['Body map validator not available'] };
         }
         
+        const swapMode = mode || (this.settings.reciprocalTransformations && this.settings.bidirectionalSwaps ? 'exchange' : 'copy');
+        const scope = options.scope || null;
+        
         try {
-            const validation = await this.bodyMapValidator.validateSwap(sourceBodyMap, targetBodyMap, zones);
+            // The validator simulates each zone exactly as applyZoneSwap would stage it
+            const validation = await this.bodyMapValidator.validateSwap(sourceBodyMap, targetBodyMap, zones, {
+                mode: swapMode,
+                scope,
+                readSides: this.reciprocalSwapHandler
+                    ? this.reciprocalSwapHandler.getReadSides(swapMode)
+                    : ['source', 'target'],
+                resolveZone: (zone, sourceZoneData, targetZoneData) => this.resolveZoneOutcome(
+                    options.sourceCharId, options.targetCharId, zone, sourceZoneData, targetZoneData, { mode: swapMode, scope }
+                )
+            });
             return validation;
         } catch (error) {
             this.handleError('validateSwap', error, false);
@@ -449,8 +2368,10 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
     }
     
     /**
-     * Gets garment information by ID
-     * @param {string} garmentId - Garment ID in format "CHARACTERID.TYPEINDEX"
+     * Gets garment information by ID.
+     * Garments stored in the inventory are used as-is; otherwise the ID is
+     * parsed in the legacy "CHARACTERID.TYPEINDEX" format.
+     * @param {string} garmentId - Inventory garment ID or legacy type-index ID
      * @returns {Promise<Object>} Garment information
      */
     async getGarmentById(garmentId) {
@@ -458,6 +2379,11 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             throw new Error('Invalid garment ID');
         }
         
+        const storedGarment = this.getInventoryGarment(garmentId);
+        if (storedGarment) {
+            return storedGarment;
+        }
+        
         // Parse garment ID format: CHARACTERID.TYPEINDEX
         const parts = garmentId.split('.');
         if (parts.length !== 2) {
@@ -483,7 +2409,64 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             id: garmentId,
             characterId,
             type: garmentType,
-            zones: await this.getZonesForGarment(garmentType)
+            zones: await this.getZonesForGarment(garmentType),
+            wornBy: null,
+            source: 'type-index'
+        };
+    }
+    
+    /**
+     * Records swapped inventory garments in their provenance ledger. A ledger
+     * failure is reported but never undoes the swap.
+     * @param {string} swapId - Swap ID
+     * @param {Array} moves - Moves as { garmentId, from, to, zones }
+     * @param {Object} options - Swap options; chatId and messageId reference the chat message
+     */
+    async recordGarmentSwaps(swapId, moves, options = {}) {
+        if (!this.garmentInventory || typeof this.garmentInventory.recordSwap !== 'function') {
+            return;
+        }
+        
+        for (const move of moves) {
+            if (!move.garmentId || !this.getInventoryGarment(move.garmentId)) continue;
+            
+            try {
+                await this.garmentInventory.recordSwap(move.garmentId, {
+                    from: move.from,
+                    to: move.to,
+                    swapId,
+                    zones: move.zones
+                }, options);
+            } catch (error) {
+                this.handleError('recordGarmentSwaps', error, false);
+            }
+        }
+    }
+    
+    /**
+     * Looks up a garment in the garment inventory
+     * @param {string} garmentId - Garment ID
+     * @returns {Object|null} Garment information, or null if the inventory doesn't hold it
+     */
+    getInventoryGarment(garmentId) {
+        if (!this.garmentInventory || typeof this.garmentInventory.getGarment !== 'function') {
+            return null;
+        }
+        
+        const garment = this.garmentInventory.getGarment(garmentId);
+        if (!garment) {
+            return null;
+        }
+        
+        return {
+            id: garment.id,
+            type: garment.type || null,
+            zones: [...garment.zones],
+            owner: garment.owner,
+            originOwner: garment.originOwner,
+            description: garment.description,
+            wornBy: this.garmentInventory.garmentWornBy.get(garmentId) || null,
+            source: 'inventory'
         };
     }
     
@@ -493,18 +2476,18 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
      * @returns {Promise<Array>} Array of affected zones
      */
     async getZonesForGarment(garmentType) {
-        if (this.garmentZoneMapper) {
-            return await this.garmentZoneMapper.getZonesForGarment(garmentType);
+        if (this.garmentZoneMapper && typeof this.garmentZoneMapper.getZonesForGarment === 'function') {
+            return this.canonicalizeZones(await this.garmentZoneMapper.getZonesForGarment(garmentType) || []);
         }
         
         // Fallback zone mapping
         const zoneMapping = {
             'bra': ['chest'],
             'panties': ['genitals'],
-            'dress': ['chest', 'waist', 'hips'],
+            'dress': ['chest', 'waist', 'butt'],
             'shirt': ['chest', 'waist'],
-            'pants': ['waist', 'hips', 'legs'],
-            'skirt': ['waist', 'hips'],
+            'pants': ['waist', 'butt', 'legs'],
+            'skirt': ['waist', 'butt'],
             'shoes': ['feet'],
             'socks': ['feet']
         };
@@ -512,6 +2495,16 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
         return zoneMapping[garmentType] || [];
     }
     
+    /**
+     * Rewrites zone aliases to their canonical names, dropping duplicates.
+     * Unknown zones are kept so validation can report them.
+     * @param {Array} zones - Zone names
+     * @returns {Array} Canonical zone names
+     */
+    canonicalizeZones(zones) {
+        return [...new Set(zones.map(zone => this.resolveZoneName(zone) || zone))];
+    }
+    
     /**
      * Loads character body map from storage
      * @param {string} characterId - Character ID
@@ -541,22 +2534,345 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
         return await storage.saveBodyMap(characterId, bodyMap);
     }
     
+    /**
+     * Saves several character body maps in a single storage write
+     * @param {Object} bodyMaps - Body maps keyed by character ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveCharacterBodyMaps(bodyMaps) {
+        if (!this.dependencies.includes('storage') || !window.Threadshift?.foundation?.storage) {
+            throw new Error('Storage dependency not available');
+        }
+        
+        const storage = window.Threadshift.foundation.storage;
+        return await storage.saveBodyMaps(bodyMaps);
+    }
+    
     /**
      * Clones specific zones from a body map
      * @param {Object} bodyMap - Source body map
      * @param {Array} zones - Zones to clone
+     * @param {Object|null} scope - Field scope; scoped zones only keep the scoped fields
      * @returns {Object} Cloned zone data
      */
-    cloneBodyMapZones(bodyMap, zones) {
+    cloneBodyMapZones(bodyMap, zones, scope = null) {
         const cloned = {};
         for (const zone of zones) {
             if (bodyMap && bodyMap[zone]) {
-                cloned[zone] = JSON.parse(JSON.stringify(bodyMap[zone]));
+                cloned[zone] = scope && scope[zone]
+                    ? this.projectZone(bodyMap[zone], scope[zone])
+                    : JSON.parse(JSON.stringify(bodyMap[zone]));
             }
         }
         return cloned;
     }
     
+    /**
+     * Normalizes the field-level scope of a swap
+     * @param {Array} zones - Zones affected by the garment
+     * @param {Object} options - Swap options with an optional fields list
+     * @returns {Object|null} Scope keyed by zone as { fields, markTypes }, or null for whole-zone swaps
+     */
+    resolveSwapScope(zones, options = {}) {
+        if (!options.fields) {
+            return null;
+        }
+        
+        const entries = Array.isArray(options.fields) ? options.fields : [options.fields];
+        if (entries.length === 0) {
+            throw new Error('Field-level swap needs at least one zone scope');
+        }
+        
+        const scope = {};
+        for (const entry of entries) {
+            if (!entry || typeof entry.zone !== 'string') {
+                throw new Error('Each field scope needs a zone');
+            }
+            
+            if (!zones.includes(entry.zone)) {
+                throw new Error(`Zone ${entry.zone} is not affected by this garment`);
+            }
+            
+            if (scope[entry.zone]) {
+                throw new Error(`Zone ${entry.zone} is scoped more than once`);
+            }
+            
+            if (entry.markTypes !== undefined && (!Array.isArray(entry.markTypes) || entry.markTypes.length === 0)) {
+                throw new Error(`Zone ${entry.zone} markTypes must be a non-empty array`);
+            }
+            
+            // A mark-type filter on its own means "only these marks"
+            const markTypes = entry.markTypes ? [...entry.markTypes] : null;
+            const fields = entry.fields || (markTypes ? ['marks'] : null);
+            
+            if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string')) {
+                throw new Error(`Zone ${entry.zone} scope must list the fields to swap`);
+            }
+            
+            if (markTypes && !fields.includes('marks')) {
+                throw new Error(`Zone ${entry.zone} markTypes needs 'marks' in its fields`);
+            }
+            
+            scope[entry.zone] = {
+                fields: Array.from(new Set(fields)),
+                markTypes
+            };
+        }
+        
+        return scope;
+    }
+    
+    /**
+     * Picks the scoped fields out of a zone
+     * @param {Object} zoneData - Zone data
+     * @param {Object} zoneScope - { fields, markTypes }
+     * @returns {Object} Zone data holding only the scoped fields
+     */
+    projectZone(zoneData, zoneScope) {
+        const projected = {};
+        if (!zoneData) {
+            return projected;
+        }
+        
+        for (const field of zoneScope.fields) {
+            if (!(field in zoneData)) continue;
+            
+            let value = zoneData[field];
+            if (field === 'marks' && zoneScope.markTypes && Array.isArray(value)) {
+                value = value.filter(mark => mark && zoneScope.markTypes.includes(mark.type));
+            }
+            projected[field] = JSON.parse(JSON.stringify(value));
+        }
+        
+        return projected;
+    }
+    
+    /**
+     * Writes scoped fields back into a zone, leaving every other field as it is.
+     * With a mark-type filter only marks of those types are replaced.
+     * @param {Object} zoneData - Zone data to merge into
+     * @param {Object} partial - Scoped field values
+     * @param {Object} zoneScope - { fields, markTypes }
+     * @returns {Object} Merged zone data
+     */
+    mergeZone(zoneData, partial, zoneScope) {
+        const merged = { ...(zoneData || {}) };
+        
+        for (const field of zoneScope.fields) {
+            const value = partial ? partial[field] : undefined;
+            
+            if (field === 'marks' && zoneScope.markTypes) {
+                // Replace the scoped marks where the first of them sat, so a restore keeps the original order
+                const existing = Array.isArray(merged.marks) ? merged.marks : [];
+                const isScoped = mark => mark && zoneScope.markTypes.includes(mark.type);
+                const kept = existing.filter(mark => !isScoped(mark));
+                const firstScoped = existing.findIndex(isScoped);
+                const insertAt = firstScoped === -1 ? kept.length : firstScoped;
+                merged.marks = [
+                    ...kept.slice(0, insertAt),
+                    ...(Array.isArray(value) ? value : []),
+                    ...kept.slice(insertAt)
+                ];
+            } else if (value === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = value;
+            }
+        }
+        
+        return merged;
+    }
+    
+    /**
+     * Checks whether two field scopes of the same zone touch a common field
+     * @param {Object|null} a - Zone scope, null for the whole zone
+     * @param {Object|null} b - Zone scope, null for the whole zone
+     * @returns {boolean} True if they overlap
+     */
+    scopesOverlap(a, b) {
+        if (!a || !b) {
+            return true;
+        }
+        
+        return a.fields.some(field => {
+            if (!b.fields.includes(field)) return false;
+            if (field === 'marks' && a.markTypes && b.markTypes) {
+                return a.markTypes.some(type => b.markTypes.includes(type));
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Checks whether one zone scope includes everything another one touches
+     * @param {Object|null} outer - Zone scope, null for the whole zone
+     * @param {Object|null} inner - Zone scope, null for the whole zone
+     * @returns {boolean} True if outer covers inner
+     */
+    scopeCovers(outer, inner) {
+        if (!outer) {
+            return true;
+        }
+        
+        if (!inner) {
+            return false;
+        }
+        
+        return inner.fields.every(field => {
+            if (!outer.fields.includes(field)) return false;
+            if (field === 'marks' && outer.markTypes) {
+                return !!inner.markTypes && inner.markTypes.every(type => outer.markTypes.includes(type));
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Saves the swap ledger - active swaps with their original states, history
+     * and the swap counter - so swaps stay reversible after a reload, and
+     * mirrors the active swaps into the session
+     * @returns {Promise<boolean>} Success status
+     */
+    async persistSwapLedger() {
+        this.syncSessionSwaps();
+        
+        const storage = window.Threadshift?.foundation?.storage;
+        if (!storage || typeof storage.saveSwapLedger !== 'function') {
+            return false;
+        }
+        
+        try {
+            return await storage.saveSwapLedger(this.getSwapLedger());
+        } catch (error) {
+            // The body maps are already written; a lost ledger write must not fail the swap
+            this.handleError('persistSwapLedger', error, false);
+            return false;
+        }
+    }
+    
+    /**
+     * Restores the swap ledger saved by persistSwapLedger
+     * @returns {Promise<boolean>} True if a ledger was restored
+     */
+    async restoreSwapLedger() {
+        const storage = window.Threadshift?.foundation?.storage;
+        if (!storage || typeof storage.loadSwapLedger !== 'function') {
+            return false;
+        }
+        
+        try {
+            const ledger = await storage.loadSwapLedger();
+            
+            if (ledger) {
+                this.applySwapLedger(ledger);
+            }
+            
+            this.syncSessionSwaps();
+            
+            this.fireEvent('swap-ledger-restored', {
+                activeSwaps: this.activeSwaps.size,
+                historyEntries: this.swapHistory.length
+            });
+            
+            return !!ledger;
+            
+        } catch (error) {
+            this.handleError('restoreSwapLedger', error, false);
+            return false;
+        }
+    }
+    
+    /**
+     * Gets the swap ledger in the shape persistSwapLedger saves
+     * @returns {Object} { activeSwaps, swapHistory, swapCounter } sharing the live swap objects
+     */
+    getSwapLedger() {
+        return {
+            activeSwaps: Object.fromEntries(this.activeSwaps),
+            swapHistory: this.swapHistory,
+            swapCounter: this.swapCounter
+        };
+    }
+    
+    /**
+     * Replaces the in-memory ledger with a saved one
+     * @param {Object} ledger - { activeSwaps, swapHistory, swapCounter }
+     */
+    applySwapLedger(ledger) {
+        this.activeSwaps.clear();
+        for (const [swapId, swapData] of Object.entries(ledger.activeSwaps || {})) {
+            this.activeSwaps.set(swapId, swapData);
+        }
+        
+        // Active swaps share their object with their history entry, as they did before the reload
+        this.swapHistory = (ledger.swapHistory || []).map(entry => this.activeSwaps.get(entry.id) || entry);
+        this.swapCounter = Math.max(this.swapCounter, ledger.swapCounter || 0);
+    }
+    
+    /**
+     * Swaps the whole ledger for an earlier one, e.g. when a snapshot is
+     * restored, and persists it. The body maps must be restored separately.
+     * @param {Object} ledger - { activeSwaps, swapHistory, swapCounter }
+     * @returns {Promise<Object>} Swap IDs that were active before and are gone now
+     */
+    async replaceSwapLedger(ledger) {
+        if (!ledger || typeof ledger !== 'object') {
+            throw new Error('Swap ledger must be an object');
+        }
+        
+        const previousIds = Array.from(this.activeSwaps.keys());
+        this.applySwapLedger(JSON.parse(JSON.stringify(ledger)));
+        await this.persistSwapLedger();
+        
+        const removedSwapIds = previousIds.filter(swapId => !this.activeSwaps.has(swapId));
+        
+        this.fireEvent('swap-ledger-replaced', {
+            activeSwaps: this.activeSwaps.size,
+            historyEntries: this.swapHistory.length,
+            removedSwapIds
+        });
+        
+        return { removedSwapIds };
+    }
+    
+    /**
+     * Reconciles the session's active swap list with the ledger.
+     * Session entries without a ledger entry can't be reversed and are dropped;
+     * ledger swaps missing from the session, or whose status changed, are (re)added.
+     */
+    syncSessionSwaps() {
+        const session = this.sessionManager;
+        if (!session || typeof session.getActiveSwaps !== 'function') {
+            return;
+        }
+        
+        const tracked = new Map(session.getActiveSwaps().map(entry => [entry.id, entry]));
+        
+        for (const swapId of tracked.keys()) {
+            if (!this.activeSwaps.has(swapId)) {
+                session.removeActiveSwap(swapId);
+            }
+        }
+        
+        for (const [swapId, swapData] of this.activeSwaps.entries()) {
+            const entry = tracked.get(swapId);
+            if (!entry || entry.status !== swapData.status || entry.progress !== swapData.progress) {
+                session.addActiveSwap(swapId, {
+                    type: swapData.type || 'swap',
+                    sourceCharId: swapData.sourceCharId,
+                    targetCharId: swapData.targetCharId,
+                    characters: swapData.characters || [swapData.sourceCharId, swapData.targetCharId],
+                    zones: [...swapData.zones],
+                    garmentId: swapData.garment ? swapData.garment.id || null : null,
+                    mode: swapData.mode,
+                    status: swapData.status,
+                    progress: swapData.progress,
+                    timestamp: swapData.timestamp
+                });
+            }
+        }
+    }
+    
     /**
      * Generates a unique swap ID
      * @returns {string} Unique swap ID
@@ -613,8 +2929,9 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
     /**
      * Clears swap history
      */
-    clearHistory() {
+    async clearHistory() {
         this.swapHistory = [];
+        await this.persistSwapLedger();
         this.fireEvent('history-cleared');
     }
     
@@ -645,7 +2962,7 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
     /**
      * Performs cleanup operations
      */
-    performCleanup() {
+    async performCleanup() {
         // Clean up old history entries
         const cutoffTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
         this.swapHistory = this.swapHistory.filter(entry => {
@@ -660,6 +2977,7 @@ class ThreadshiftZoneSwapEngine extends ThreadshiftModule {
             }
         }
         
+        await this.persistSwapLedger();
         this.fireEvent('cleanup-completed');
     }
     